@@ -3,7 +3,8 @@
 /**
  * Discord Command Cleaner
  * A utility to list and delete Discord slash commands
- * Single file version
+ * Single file version: run it for the terminal UI, or require() it for the library API
+ * (listCommands, deleteCommands, syncCommandSet, backupCommandSet)
  */
 
 // Import required dependencies
@@ -11,23 +12,319 @@ require('dotenv').config();
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const readline = require('readline');
-const { REST } = require('@discordjs/rest');
-const { Routes } = require('discord-api-types/v10');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { REST, RESTEvents, RateLimitError } = require('@discordjs/rest');
+const { Routes, PermissionFlagsBits } = require('discord-api-types/v10');
+
+/**
+ * How often a rate-limited request is retried before it fails
+ */
+const MAX_RETRIES = 3;
+
+/**
+ * First backoff delay for rate-limited retries; doubles on every retry
+ */
+const RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * OAuth2 scope that lets a client-credentials bearer token manage commands
+ */
+const CLIENT_CREDENTIALS_SCOPE = 'applications.commands.update';
+
+/**
+ * Number of deletions in flight at once unless --concurrency says otherwise
+ */
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Highest accepted --concurrency
+ */
+const MAX_CONCURRENCY = 20;
+
+/**
+ * Width of progress bars, in characters
+ */
+const PROGRESS_BAR_WIDTH = 30;
+
+/**
+ * Time between two checks of watch mode unless --interval says otherwise
+ */
+const DEFAULT_WATCH_INTERVAL_MS = 60000;
+
+/**
+ * Shortest accepted --interval, so watch mode stays well clear of the rate limits
+ */
+const MIN_WATCH_INTERVAL_MS = 10000;
+
+/**
+ * How long a drift alert may take to reach the webhook before it is given up on
+ */
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Port of the local dashboard unless --port says otherwise
+ */
+const DEFAULT_DASHBOARD_PORT = 8787;
+
+/**
+ * Largest request body the dashboard accepts, in bytes
+ */
+const MAX_DASHBOARD_BODY_BYTES = 1024 * 1024;
+
+/**
+ * JSON error codes Discord returns that we explain to the user
+ * See https://discord.com/developers/docs/topics/opcodes-and-status-codes#json
+ */
+const DISCORD_ERROR_CODES = {
+  UNKNOWN_GUILD: 10004,
+  UNKNOWN_COMMAND: 10063,
+  MISSING_ACCESS: 50001
+};
+
+/**
+ * Error from a Discord API request, classified by its Discord error code and HTTP status
+ * Subclasses explain what went wrong and how to fix it; the base class is used for everything else
+ */
+class DiscordRequestError extends Error {
+  /**
+   * @param {string} message - Message Discord (or the request layer) returned
+   * @param {Object} [options] - Error details
+   * @param {?number} [options.status] - HTTP status of the response, if there was one
+   * @param {?number} [options.code] - Discord JSON error code, if there was one
+   * @param {Error} [options.cause] - The original error
+   */
+  constructor(message, { status = null, code = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+  }
+
+  /**
+   * What the error means, in plain words
+   * @returns {?string}
+   */
+  get reason() {
+    return null;
+  }
+
+  /**
+   * What the user can do about it
+   * @returns {?string}
+   */
+  get fix() {
+    return null;
+  }
+
+  /**
+   * Whether sending the same request again may succeed
+   * @returns {boolean}
+   */
+  get retryable() {
+    return this.status !== 404;
+  }
+}
+
+/**
+ * 401: the bot token or client credentials were rejected
+ */
+class InvalidTokenError extends DiscordRequestError {
+  get reason() {
+    return 'Discord rejected the credentials: the token is wrong, expired or was reset.';
+  }
+
+  get fix() {
+    return 'Copy a fresh bot token (or client secret) from the Developer Portal into .env or your bot profile.';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * 403: the application is not authorized to manage commands where it was asked to
+ */
+class MissingScopeError extends DiscordRequestError {
+  get reason() {
+    return 'The application is not authorized to manage commands here.';
+  }
+
+  get fix() {
+    return 'Re-invite the application with the applications.commands scope (client credentials need applications.commands.update).';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * 10004: the guild does not exist or the bot cannot see it
+ */
+class UnknownGuildError extends DiscordRequestError {
+  get reason() {
+    return 'The Guild ID you provided does not exist or the bot does not have access to it.';
+  }
+
+  get fix() {
+    return 'Make sure the Guild ID is correct and the bot is a member of the guild.';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * 10063: the command does not exist, usually because it was already deleted
+ */
+class UnknownCommandError extends DiscordRequestError {
+  get reason() {
+    return 'The command no longer exists; it was deleted already or belongs to another application.';
+  }
+
+  get fix() {
+    return 'List the commands again to see what is registered now.';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * 50001: the application was removed from the guild or never given access to it
+ */
+class MissingAccessError extends DiscordRequestError {
+  get reason() {
+    return 'The application has no access to this guild.';
+  }
+
+  get fix() {
+    return 'Add the application to the guild again with the bot and applications.commands scopes.';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * Turn any error thrown by a request into a DiscordRequestError subclass callers can branch on
+ * Discord error codes win over HTTP statuses, since one status covers several causes
+ * @param {Error} error - Error thrown by @discordjs/rest or by the client itself
+ * @returns {DiscordRequestError} The classified error; errors that already are one are returned as is
+ */
+function classifyDiscordError(error) {
+  if (error instanceof DiscordRequestError) return error;
+
+  const status = error.status || (error instanceof RateLimitError ? 429 : null);
+  const code = typeof error.code === 'number' ? error.code : null;
+  let ErrorClass = DiscordRequestError;
+
+  if (code === DISCORD_ERROR_CODES.UNKNOWN_GUILD) ErrorClass = UnknownGuildError;
+  else if (code === DISCORD_ERROR_CODES.UNKNOWN_COMMAND) ErrorClass = UnknownCommandError;
+  else if (code === DISCORD_ERROR_CODES.MISSING_ACCESS) ErrorClass = MissingAccessError;
+  else if (status === 401) ErrorClass = InvalidTokenError;
+  else if (status === 403) ErrorClass = MissingScopeError;
+
+  return new ErrorClass(error.message, { status, code, cause: error });
+}
+
+/**
+ * Print a failed request with its status, message, and the cause and fix when they are known
+ * @param {string} title - What failed (e.g. 'Failed to delete global command')
+ * @param {DiscordRequestError} error - The classified error
+ * @param {Object<string, string>} [details] - Extra labelled lines, printed before the status
+ * @param {string} [fix] - Fix to print when the error has none of its own
+ */
+function printRequestError(title, error, details = {}, fix = null) {
+  console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(title));
+  for (const [label, value] of Object.entries(details)) {
+    console.error(chalk.yellow(`  └─ ${label}: `) + chalk.cyan(value));
+  }
+  const code = error.code ? chalk.gray(` (code ${error.code})`) : '';
+  console.error(chalk.yellow('  └─ Status: ') + chalk.red(error.status || 'Unknown') + code);
+  console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  if (error.reason) console.error(chalk.yellow('  └─ Cause: ') + chalk.red(error.reason));
+  if (error.fix || fix) console.error(chalk.yellow('  └─ Fix: ') + chalk.white(error.fix || fix));
+}
 
 /**
  * Discord API utility for managing slash commands
+ * Never prints anything itself; it emits events that attachConsoleReporter() turns into terminal output:
+ * - success (message): a request succeeded
+ * - requestError ({title, error, details, fix}): a request failed, with the classified error
+ * - dryRun ({method, route, result}): a write request was simulated instead of sent
+ * - rateLimitWait ({route, global, timeToReset}): the request queue waited for a bucket to reset
+ * - rateLimited ({waitMs, attempt, maxRetries}): a 429 is being waited out before retrying
+ * - rateLimitProgress ({done, total}): progress of that wait
+ * - warning (message): something went wrong that does not fail the request
+ * - progress ({operation, command, ok, error, done, failed, total}): a command of a batch was processed
  */
-class DiscordAPI {
+class DiscordAPI extends EventEmitter {
   /**
    * Initialize Discord API client
-   * @param {string} token - Discord bot token
+   * @param {string|null} token - Discord bot token; null when using client credentials
+   * @param {Object} [options] - Client options
+   * @param {boolean} [options.quiet=false] - Tell the console reporter to skip success messages (errors are still printed)
+   * @param {boolean} [options.dryRun=false] - Log write requests instead of sending them
+   * @param {string} [options.applicationId] - Known application ID, skips looking it up
+   * @param {BotProfile} [options.profile] - Profile the client was created from, if any
+   * @param {{clientId: string, clientSecret: string}} [options.clientCredentials] - OAuth2 client
+   *   credentials to authenticate with a bearer token instead of a bot token
+   * @param {string} [options.permissionsToken] - User bearer token with the
+   *   applications.commands.permissions.update scope, needed to change permission overwrites
+   * @param {string} [options.auditLog] - JSON Lines file every destructive request is appended to
+   * @param {string} [options.apiBaseUrl] - REST API base URL without the version
+   *   (default: https://discord.com/api), e.g. to point the client at a mock server
+   * @param {boolean} [options.checkLimits=true] - Warn when fetched commands are close to or
+   *   over one of Discord's limits (see lintCommandDefinitions)
    */
-  constructor(token) {
+  constructor(token, options = {}) {
+    super();
     this.token = token;
-    this.rest = new REST({ version: '10' }).setToken(token);
-    this.applicationId = null;
+    this.clientCredentials = options.clientCredentials || null;
+    this.permissionsToken = options.permissionsToken || null;
+    this.accessTokenExpiresAt = 0;
+    this.quiet = Boolean(options.quiet);
+    this.dryRun = Boolean(options.dryRun);
+    this.profile = options.profile || null;
+    this.auditLog = options.auditLog || null;
+    this.apiBaseUrl = options.apiBaseUrl || null;
+    this.checkLimits = options.checkLimits !== false;
+    // Last failure per command ID, so callers can report and retry failed items
+    this.commandErrors = new Map();
+    this.rest = new REST({
+      ...(this.apiBaseUrl && { api: this.apiBaseUrl }),
+      version: '10',
+      retries: MAX_RETRIES,
+      authPrefix: this.clientCredentials ? 'Bearer' : 'Bot',
+      // Only hand real 429 responses back to us; proactive bucket waits stay inside the queue
+      rejectOnRateLimit: info => this.consumeRateLimitHit(info.route)
+    });
+    if (token) this.rest.setToken(token);
+    this.rest.on(RESTEvents.Response, (request, response) => this.recordResponse(request, response));
+    this.rest.on(RESTEvents.RateLimited, info => this.recordRateLimitWait(info));
+    this.applicationId = options.applicationId || null;
+    this.botUser = null;
+    this.rejectedToken = null;
+    this.pendingRateLimits = new Set();
     this.rateLimitMetrics = {
+      requests: 0,
       rateLimit: 0,
+      globalRateLimit: 0,
+      proactiveWaits: 0,
+      waitedMs: 0,
+      retries: 0,
+      exhausted: 0,
+      buckets: new Set(),
       rateLimitReset: 0,
       rateLimitRemaining: 0,
       lastRequested: new Date()
@@ -35,58 +332,206 @@ class DiscordAPI {
   }
 
   /**
-   * Handle rate limits with visual progress bar
+   * Record rate limit headers from every response
+   * @param {Object} request - Request data emitted by @discordjs/rest
+   * @param {Response} response - The raw response
+   */
+  recordResponse(request, response) {
+    const metrics = this.rateLimitMetrics;
+    const headers = response.headers;
+
+    metrics.requests++;
+    metrics.lastRequested = new Date();
+    if (headers.get('X-RateLimit-Bucket')) metrics.buckets.add(headers.get('X-RateLimit-Bucket'));
+    if (headers.get('X-RateLimit-Remaining') !== null) metrics.rateLimitRemaining = Number(headers.get('X-RateLimit-Remaining'));
+    if (headers.get('X-RateLimit-Reset-After') !== null) metrics.rateLimitReset = Number(headers.get('X-RateLimit-Reset-After'));
+
+    if (response.status === 429) {
+      metrics.rateLimit++;
+      if (headers.get('X-RateLimit-Global')) metrics.globalRateLimit++;
+      this.pendingRateLimits.add(request.route);
+    }
+  }
+
+  /**
+   * Record a wait the request queue made before sending, because a bucket or the global limit was exhausted
+   * @param {Object} info - Rate limit data emitted by @discordjs/rest
+   */
+  recordRateLimitWait(info) {
+    this.rateLimitMetrics.proactiveWaits++;
+    this.rateLimitMetrics.waitedMs += info.timeToReset;
+
+    this.emit('rateLimitWait', { route: info.route, global: info.global, timeToReset: info.timeToReset });
+  }
+
+  /**
+   * Decide whether a rate limit should be thrown back to us instead of retried by the queue
+   * @param {string} route - Bucket route that was limited
+   * @returns {boolean} True if the route just received a 429 response
+   */
+  consumeRateLimitHit(route) {
+    return this.pendingRateLimits.delete(route);
+  }
+
+  /**
+   * Send a request, retrying rate-limited attempts with backoff up to MAX_RETRIES times
+   * @param {string} method - REST method name ('get', 'post', 'put', 'delete')
+   * @param {string} route - API route
+   * @param {Object} [options] - Request options (body, query)
+   * @returns {Promise<*>} The response body
+   */
+  async request(method, route, options = {}) {
+    // @discordjs/rest forgets a token Discord rejected, so keep reporting the rejection instead of a missing token
+    if (this.rejectedToken && options.auth !== false) throw this.rejectedToken;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.ensureAccessToken();
+        return await this.rest[method](route, options);
+      } catch (error) {
+        if (error.status === 401 && options.auth !== false) this.rejectedToken = classifyDiscordError(error);
+        if (!(await this.handleRateLimit(error, attempt))) throw error;
+      }
+    }
+  }
+
+  /**
+   * Fetch (or refresh) a bearer token when authenticating with client credentials
+   * @returns {Promise<void>}
+   */
+  async ensureAccessToken() {
+    if (!this.clientCredentials || Date.now() < this.accessTokenExpiresAt) return;
+
+    const { clientId, clientSecret } = this.clientCredentials;
+    try {
+      const response = await this.rest.post(Routes.oauth2TokenExchange(), {
+        auth: false,
+        passThroughBody: true,
+        body: new URLSearchParams({ grant_type: 'client_credentials', scope: CLIENT_CREDENTIALS_SCOPE }),
+        headers: {
+          'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      // Refresh a minute early so a long run never sends an expired token
+      this.accessTokenExpiresAt = Date.now() + (response.expires_in - 60) * 1000;
+      this.rest.setToken(response.access_token);
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      this.reportError('Failed to get an access token with client credentials', requestError, { 'Client ID': clientId });
+
+      throw requestError;
+    }
+  }
+
+  /**
+   * Wait out a 429 response, emitting rateLimited and rateLimitProgress events while waiting
    * @param {Error} error - Error from REST API
-   * @returns {Promise<boolean>} True if rate limited and handled, false otherwise
+   * @param {number} [attempt=0] - Number of retries already made for this request
+   * @returns {Promise<boolean>} True if rate limited and waited out (retry now), false otherwise
    */
-  async handleRateLimit(error) {
-    if (!error?.rawError?.message?.includes('You are being rate limited')) {
+  async handleRateLimit(error, attempt = 0) {
+    if (!(error instanceof RateLimitError) && error?.status !== 429) {
       return false;
     }
 
-    // Extract rate limit info
-    const retryAfter = error.rawError.retry_after || 5;
-    const currentTime = new Date();
-    
+    if (attempt >= MAX_RETRIES) {
+      this.rateLimitMetrics.exhausted++;
+      return false;
+    }
+
+    // Wait at least as long as Discord asked, backing off further on every retry
+    const retryAfterMs = error instanceof RateLimitError
+      ? error.retryAfter
+      : (error.rawError?.retry_after || 5) * 1000;
+    const waitMs = Math.max(retryAfterMs, RETRY_BASE_DELAY_MS * 2 ** attempt);
+
     // Update metrics
-    this.rateLimitMetrics.rateLimit++;
-    this.rateLimitMetrics.rateLimitReset = retryAfter;
-    this.rateLimitMetrics.lastRequested = currentTime;
+    this.rateLimitMetrics.retries++;
+    this.rateLimitMetrics.waitedMs += waitMs;
 
-    // Show visual indicator for rate limit
-    console.log(chalk.yellow(`\n⚠️  Rate limited by Discord API. Waiting ${retryAfter} seconds...`));
-    
-    // Display progress bar
-    const barWidth = 30;
-    for (let i = 0; i < barWidth; i++) {
-      const progress = i / barWidth;
-      const waitTime = Math.floor(progress * retryAfter * 1000);
-      
-      // Create progress bar
-      const filled = '█'.repeat(i);
-      const empty = '░'.repeat(barWidth - i);
-      const percent = Math.floor(progress * 100);
-      
-      // Update the progress bar in place
-      readline.clearLine(process.stdout, 0);
-      readline.cursorTo(process.stdout, 0);
-      process.stdout.write(
-        `${chalk.blue('[' + filled + empty + ']')} ${chalk.green(percent + '%')} ${chalk.cyan(`(${i}/${barWidth})`)}`
-      );
-      
-      await this.sleep(waitTime / barWidth);
+    this.emit('rateLimited', { waitMs, attempt: attempt + 1, maxRetries: MAX_RETRIES });
+
+    // Wait in steps so listeners can show progress
+    for (let i = 0; i < PROGRESS_BAR_WIDTH; i++) {
+      this.emit('rateLimitProgress', { done: i, total: PROGRESS_BAR_WIDTH });
+      await this.sleep(waitMs / PROGRESS_BAR_WIDTH);
     }
-    
-    // Complete progress bar
-    readline.clearLine(process.stdout, 0);
-    readline.cursorTo(process.stdout, 0);
-    process.stdout.write(
-      `${chalk.blue('[' + '█'.repeat(barWidth) + ']')} ${chalk.green('100%')} ${chalk.cyan(`Completed!`)}\n`
-    );
-    
+    this.emit('rateLimitProgress', { done: PROGRESS_BAR_WIDTH, total: PROGRESS_BAR_WIDTH });
+
     return true;
   }
 
+  /**
+   * Append an entry for a destructive request to the audit log
+   * A failed write is reported but never fails the request itself
+   * @param {Object} entry - Action, scope and command of the request
+   * @param {Error} [error] - Why the request failed, if it did
+   */
+  recordAudit(entry, error = null) {
+    if (!this.auditLog) return;
+
+    const record = {
+      timestamp: new Date().toISOString(),
+      applicationId: this.applicationId,
+      botId: this.botUser?.id || null,
+      profile: this.profile?.name || null,
+      user: process.env.USER || process.env.USERNAME || null,
+      ...entry,
+      result: error ? 'error' : 'success'
+    };
+    if (error) record.error = { status: error.status || null, code: error.code || null, message: error.message };
+
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(this.auditLog)), { recursive: true });
+      fs.appendFileSync(this.auditLog, JSON.stringify(record) + '\n');
+    } catch (error) {
+      this.emit('warning', `Could not write to audit log ${this.auditLog}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Announce a successful request
+   * @param {string} message - What succeeded
+   */
+  reportSuccess(message) {
+    this.emit('success', message);
+  }
+
+  /**
+   * Announce a failed request
+   * @param {string} title - What failed (e.g. 'Failed to delete global command')
+   * @param {DiscordRequestError} error - The classified error
+   * @param {Object<string, string>} [details] - Extra labelled details (IDs, action)
+   * @param {string} [fix] - Fix to suggest when the error has none of its own
+   */
+  reportError(title, error, details = {}, fix = null) {
+    this.emit('requestError', { title, error, details, fix });
+  }
+
+  /**
+   * Warn about registered commands that are close to or over one of Discord's limits
+   * @param {Array} commands - Commands as returned by Discord
+   * @param {string} scopeLabel - Where they are registered, for the message (e.g. 'Global commands')
+   */
+  reportLimitIssues(commands, scopeLabel) {
+    if (!this.checkLimits) return;
+    lintCommandDefinitions(commands).forEach(issue => this.emit('warning', `${scopeLabel}: ${issue.message}`));
+  }
+
+  /**
+   * Announce a write request that would have been sent, for dry runs
+   * @param {string} method - HTTP method
+   * @param {string} route - API route
+   * @param {*} result - Value to return in place of the API response
+   * @returns {*} The given result
+   */
+  simulateRequest(method, route, result) {
+    this.emit('dryRun', { method, route, result });
+    return result;
+  }
+
   /**
    * Sleep helper function
    * @param {number} ms - Milliseconds to sleep
@@ -97,177 +542,468 @@ class DiscordAPI {
   }
 
   /**
-   * Get the application ID (bot user ID)
+   * Get the bot user the token belongs to
+   * @returns {Promise<Object>} The bot user (id, username, ...)
+   */
+  async getBotUser() {
+    if (this.botUser) return this.botUser;
+
+    try {
+      this.botUser = await this.request('get', Routes.user('@me'));
+      return this.botUser;
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      this.reportError('Failed to get bot user', requestError);
+
+      throw requestError;
+    }
+  }
+
+  /**
+   * Get the application ID
+   * Uses the explicit ID if one was given, the client ID for client credentials,
+   * and otherwise asks Discord for the application the token belongs to
    * @returns {Promise<string>} The application ID
    */
   async getApplicationId() {
     if (this.applicationId) return this.applicationId;
 
+    if (this.clientCredentials) {
+      this.applicationId = this.clientCredentials.clientId;
+      return this.applicationId;
+    }
+
     try {
-      const response = await this.rest.get(Routes.user('@me'));
-      this.applicationId = response.id;
+      const application = await this.request('get', Routes.currentApplication());
+      this.applicationId = application.id;
       return this.applicationId;
     } catch (error) {
-      // Check if this is a rate limit error
-      if (await this.handleRateLimit(error)) {
-        // Retry after rate limit
-        return this.getApplicationId();
-      }
-      
-      // Visual error display with details
-      console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to get application ID`));
-      console.error(chalk.yellow('  └─ Status: ') + chalk.red(error.status || 'Unknown'));
-      console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
-      
-      throw new Error(`Failed to get application ID: ${error.message}`);
+      const requestError = classifyDiscordError(error);
+      this.reportError('Failed to get application ID', requestError, {}, 'Set APPLICATION_ID (or --application-id) to skip this lookup.');
+
+      throw requestError;
     }
   }
 
   /**
-   * Get all global commands for the bot
+   * Get all global commands for the bot, including their localizations
    * @returns {Promise<Array>} List of command objects
    */
   async getGlobalCommands() {
     try {
       const applicationId = await this.getApplicationId();
-      const commands = await this.rest.get(
-        Routes.applicationCommands(applicationId)
+      const commands = await this.request(
+        'get',
+        Routes.applicationCommands(applicationId),
+        { query: new URLSearchParams({ with_localizations: 'true' }) }
       );
       // Success visualization
-      console.log(chalk.green(`✓ Successfully retrieved ${commands.length} global commands`));
+      this.reportSuccess(`Successfully retrieved ${commands.length} global commands`);
+      this.reportLimitIssues(commands, 'Global commands');
       return commands;
     } catch (error) {
-      // Check if this is a rate limit error
-      if (await this.handleRateLimit(error)) {
-        // Retry after rate limit
-        return this.getGlobalCommands();
-      }
-      
-      // Visual error display with details
-      console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to get global commands`));
-      console.error(chalk.yellow('  └─ Status: ') + chalk.red(error.status || 'Unknown'));
-      console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
-      console.error(chalk.yellow('  └─ Action: ') + chalk.cyan('GET global commands'));
-      
-      throw new Error(`Failed to get global commands: ${error.message}`);
+      const requestError = classifyDiscordError(error);
+      this.reportError('Failed to get global commands', requestError, { Action: 'GET global commands' });
+
+      throw requestError;
     }
   }
 
   /**
    * Delete a global command by its ID
    * @param {string} commandId - The ID of the command to delete
+   * @param {Object} [command] - The command as fetched before deletion, kept in the audit log
    * @returns {Promise<boolean>} True if successful, False otherwise
    */
-  async deleteGlobalCommand(commandId) {
+  async deleteGlobalCommand(commandId, command = null) {
+    const audit = { action: 'delete', scope: 'global', command: { id: commandId, name: command?.name || null }, before: command };
     try {
       const applicationId = await this.getApplicationId();
-      await this.rest.delete(
-        Routes.applicationCommand(applicationId, commandId)
-      );
+      const route = Routes.applicationCommand(applicationId, commandId);
+      if (this.dryRun) return this.simulateRequest('DELETE', route, true);
+
+      await this.request('delete', route);
+      this.recordAudit(audit);
+      this.commandErrors.delete(commandId);
       
       // Success visualization
-      console.log(chalk.green(`✓ Successfully deleted global command with ID ${commandId}`));
+      this.reportSuccess(`Successfully deleted global command with ID ${commandId}`);
       return true;
     } catch (error) {
-      // Check if this is a rate limit error
-      if (await this.handleRateLimit(error)) {
-        // Retry after rate limit
-        return this.deleteGlobalCommand(commandId);
-      }
-      
-      // Visual error display with details
-      console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to delete global command`));
-      console.error(chalk.yellow('  └─ Command ID: ') + chalk.cyan(commandId));
-      console.error(chalk.yellow('  └─ Status: ') + chalk.red(error.status || 'Unknown'));
-      console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
-      
+      const requestError = classifyDiscordError(error);
+      if (!this.dryRun) this.recordAudit(audit, requestError);
+      this.commandErrors.set(commandId, requestError);
+      this.reportError('Failed to delete global command', requestError, { 'Command ID': commandId });
+
       return false;
     }
   }
 
   /**
-   * Get all guild commands for a specific guild
+   * Get the command permission overwrites of a guild
+   * Includes overwrites for guild commands, global commands and the whole application
    * @param {string} guildId - The ID of the guild
-   * @returns {Promise<Array>} List of command objects
+   * @returns {Promise<Array>} List of guild application command permission objects
    */
-  async getGuildCommands(guildId) {
+  async getGuildCommandPermissions(guildId) {
     try {
       const applicationId = await this.getApplicationId();
-      const commands = await this.rest.get(
-        Routes.applicationGuildCommands(applicationId, guildId)
-      );
-      
+      const permissions = await this.request('get', Routes.guildApplicationCommandsPermissions(applicationId, guildId));
+
       // Success visualization
-      console.log(chalk.green(`✓ Successfully retrieved ${commands.length} commands for Guild ID ${guildId}`));
-      return commands;
+      this.reportSuccess(`Successfully retrieved permission overwrites for ${permissions.length} commands in Guild ID ${guildId}`);
+      return permissions;
     } catch (error) {
-      // Check if this is a rate limit error
-      if (await this.handleRateLimit(error)) {
-        // Retry after rate limit
-        return this.getGuildCommands(guildId);
-      }
-      
-      // Visual error display with details
-      console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to get guild commands`));
-      console.error(chalk.yellow('  └─ Guild ID: ') + chalk.cyan(guildId));
-      console.error(chalk.yellow('  └─ Status: ') + chalk.red(error.status || 'Unknown'));
-      console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
-      console.error(chalk.yellow('  └─ Action: ') + chalk.cyan(`GET guild commands for guild ${guildId}`));
-      
-      throw new Error(`Failed to get guild commands: ${error.message}`);
+      const requestError = classifyDiscordError(error);
+      this.reportError('Failed to get command permissions', requestError, {
+        'Guild ID': guildId,
+        Action: `GET command permissions for guild ${guildId}`
+      });
+
+      throw requestError;
     }
   }
 
   /**
-   * Delete a guild command by its ID
+   * Remove all permission overwrites of one command (or of the whole application) in a guild
+   * Discord only accepts this with a user bearer token, see options.permissionsToken
    * @param {string} guildId - The ID of the guild
-   * @param {string} commandId - The ID of the command to delete
+   * @param {string} commandId - Command ID, or the application ID for application-wide overwrites
    * @returns {Promise<boolean>} True if successful, False otherwise
    */
-  async deleteGuildCommand(guildId, commandId) {
+  async resetGuildCommandPermissions(guildId, commandId) {
+    const audit = { action: 'reset_permissions', scope: guildId, command: { id: commandId, name: null } };
     try {
       const applicationId = await this.getApplicationId();
-      await this.rest.delete(
-        Routes.applicationGuildCommand(applicationId, guildId, commandId)
-      );
-      
+      const route = Routes.applicationCommandPermissions(applicationId, guildId, commandId);
+      if (this.dryRun) return this.simulateRequest('PUT', route, true);
+
+      if (!this.permissionsToken) {
+        throw new Error('Changing permissions needs a user token with the applications.commands.permissions.update scope (DISCORD_PERMISSIONS_TOKEN)');
+      }
+
+      await this.request('put', route, {
+        auth: false,
+        headers: { Authorization: `Bearer ${this.permissionsToken}` },
+        body: { permissions: [] }
+      });
+      this.recordAudit(audit);
+      this.commandErrors.delete(commandId);
+
       // Success visualization
-      console.log(chalk.green(`✓ Successfully deleted guild command with ID ${commandId}`));
+      this.reportSuccess(`Successfully reset permission overwrites of ${commandId}`);
       return true;
     } catch (error) {
-      // Check if this is a rate limit error
-      if (await this.handleRateLimit(error)) {
-        // Retry after rate limit
-        return this.deleteGuildCommand(guildId, commandId);
-      }
-      
-      // Visual error display with details
-      console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to delete guild command`));
-      console.error(chalk.yellow('  └─ Guild ID: ') + chalk.cyan(guildId));
-      console.error(chalk.yellow('  └─ Command ID: ') + chalk.cyan(commandId));
-      console.error(chalk.yellow('  └─ Status: ') + chalk.red(error.status || 'Unknown'));
-      console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
-      
+      const requestError = classifyDiscordError(error);
+      if (!this.dryRun) this.recordAudit(audit, requestError);
+      this.commandErrors.set(commandId, requestError);
+      this.reportError('Failed to reset command permissions', requestError, { 'Guild ID': guildId, 'Command ID': commandId });
+
       return false;
     }
   }
-}
 
-/**
- * Clear the terminal screen based on the operating system
- */
-function clearScreen() {
-  process.stdout.write('\x1Bc');
-}
+  /**
+   * Get every guild the bot is a member of, following pagination
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.reportErrors=true] - Emit 'requestError' when the request fails
+   * @returns {Promise<Array>} List of partial guild objects (id, name, ...)
+   */
+  async getBotGuilds(options = {}) {
+    const guilds = [];
+    let after;
 
-/**
- * Print the application banner
- */
-function printBanner() {
-  const banner = [
-    chalk.blue('  ██████╗ ██╗███████╗ ██████╗ ██████╗ ██████╗ ██████╗ '),
-    chalk.blue('  ██╔══██╗██║██╔════╝██╔════╝██╔═══██╗██╔══██╗██╔══██╗'),
-    chalk.blue('  ██║  ██║██║███████╗██║     ██║   ██║██████╔╝██║  ██║'),
+    try {
+      // Discord returns at most 200 guilds per page
+      while (true) {
+        const query = new URLSearchParams({ limit: '200' });
+        if (after) query.set('after', after);
+
+        const page = await this.request('get', Routes.userGuilds(), { query });
+        guilds.push(...page);
+        if (page.length < 200) break;
+        after = page[page.length - 1].id;
+      }
+
+      // Success visualization
+      this.reportSuccess(`Successfully retrieved ${guilds.length} guilds`);
+      return guilds;
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      if (options.reportErrors !== false) {
+        this.reportError('Failed to get guilds', requestError, { Action: 'GET current user guilds' });
+      }
+
+      throw requestError;
+    }
+  }
+
+  /**
+   * Get all guild commands for a specific guild, including their localizations
+   * @param {string} guildId - The ID of the guild
+   * @returns {Promise<Array>} List of command objects
+   */
+  async getGuildCommands(guildId) {
+    try {
+      const applicationId = await this.getApplicationId();
+      const commands = await this.request(
+        'get',
+        Routes.applicationGuildCommands(applicationId, guildId),
+        { query: new URLSearchParams({ with_localizations: 'true' }) }
+      );
+      
+      // Success visualization
+      this.reportSuccess(`Successfully retrieved ${commands.length} commands for Guild ID ${guildId}`);
+      this.reportLimitIssues(commands, `Commands for Guild ID ${guildId}`);
+      return commands;
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      this.reportError('Failed to get guild commands', requestError, {
+        'Guild ID': guildId,
+        Action: `GET guild commands for guild ${guildId}`
+      });
+
+      throw requestError;
+    }
+  }
+
+  /**
+   * Delete a guild command by its ID
+   * @param {string} guildId - The ID of the guild
+   * @param {string} commandId - The ID of the command to delete
+   * @param {Object} [command] - The command as fetched before deletion, kept in the audit log
+   * @returns {Promise<boolean>} True if successful, False otherwise
+   */
+  async deleteGuildCommand(guildId, commandId, command = null) {
+    const audit = { action: 'delete', scope: guildId, command: { id: commandId, name: command?.name || null }, before: command };
+    try {
+      const applicationId = await this.getApplicationId();
+      const route = Routes.applicationGuildCommand(applicationId, guildId, commandId);
+      if (this.dryRun) return this.simulateRequest('DELETE', route, true);
+
+      await this.request('delete', route);
+      this.recordAudit(audit);
+      this.commandErrors.delete(commandId);
+      
+      // Success visualization
+      this.reportSuccess(`Successfully deleted guild command with ID ${commandId}`);
+      return true;
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      if (!this.dryRun) this.recordAudit(audit, requestError);
+      this.commandErrors.set(commandId, requestError);
+      this.reportError('Failed to delete guild command', requestError, { 'Guild ID': guildId, 'Command ID': commandId });
+
+      return false;
+    }
+  }
+
+  /**
+   * Create (or update, if the name already exists) a global command
+   * @param {Object} command - Command payload without server-only fields
+   * @returns {Promise<Object|null>} The created command, or null on failure
+   */
+  async createGlobalCommand(command) {
+    const audit = { action: 'create', scope: 'global', command: { id: null, name: command.name }, payload: command };
+    try {
+      const applicationId = await this.getApplicationId();
+      const route = Routes.applicationCommands(applicationId);
+      if (this.dryRun) return this.simulateRequest('POST', route, { ...command, id: 'dry-run' });
+
+      const created = await this.request('post', route, { body: command });
+      this.recordAudit({ ...audit, command: { id: created.id, name: created.name } });
+
+      // Success visualization
+      this.reportSuccess(`Successfully created global command ${created.name} with ID ${created.id}`);
+      return created;
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      if (!this.dryRun) this.recordAudit(audit, requestError);
+      this.reportError('Failed to create global command', requestError, { Command: command.name });
+
+      return null;
+    }
+  }
+
+  /**
+   * Create (or update, if the name already exists) a guild command
+   * @param {string} guildId - The ID of the guild
+   * @param {Object} command - Command payload without server-only fields
+   * @returns {Promise<Object|null>} The created command, or null on failure
+   */
+  async createGuildCommand(guildId, command) {
+    const audit = { action: 'create', scope: guildId, command: { id: null, name: command.name }, payload: command };
+    try {
+      const applicationId = await this.getApplicationId();
+      const route = Routes.applicationGuildCommands(applicationId, guildId);
+      if (this.dryRun) return this.simulateRequest('POST', route, { ...command, id: 'dry-run' });
+
+      const created = await this.request('post', route, { body: command });
+      this.recordAudit({ ...audit, command: { id: created.id, name: created.name } });
+
+      // Success visualization
+      this.reportSuccess(`Successfully created guild command ${created.name} with ID ${created.id}`);
+      return created;
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      if (!this.dryRun) this.recordAudit(audit, requestError);
+      this.reportError('Failed to create guild command', requestError, { 'Guild ID': guildId, Command: command.name });
+
+      return null;
+    }
+  }
+
+  /**
+   * Replace all global commands with the given set in a single request
+   * @param {Array} commands - Command payloads without server-only fields
+   * @returns {Promise<Array>} The commands as registered by Discord
+   */
+  async bulkOverwriteGlobalCommands(commands) {
+    const audit = { action: 'bulk_overwrite', scope: 'global', command: null, payload: commands };
+    try {
+      const applicationId = await this.getApplicationId();
+      const route = Routes.applicationCommands(applicationId);
+      if (this.dryRun) {
+        return this.simulateRequest('PUT', route, commands.map(command => ({ ...command, id: 'dry-run' })));
+      }
+
+      const registered = await this.request('put', route, { body: commands });
+      this.recordAudit(audit);
+
+      // Success visualization
+      this.reportSuccess(`Successfully overwrote global commands with ${registered.length} commands`);
+      return registered;
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      if (!this.dryRun) this.recordAudit(audit, requestError);
+      this.reportError('Failed to overwrite global commands', requestError, { Action: 'PUT global commands' });
+
+      throw requestError;
+    }
+  }
+
+  /**
+   * Replace all commands of a guild with the given set in a single request
+   * @param {string} guildId - The ID of the guild
+   * @param {Array} commands - Command payloads without server-only fields
+   * @returns {Promise<Array>} The commands as registered by Discord
+   */
+  async bulkOverwriteGuildCommands(guildId, commands) {
+    const audit = { action: 'bulk_overwrite', scope: guildId, command: null, payload: commands };
+    try {
+      const applicationId = await this.getApplicationId();
+      const route = Routes.applicationGuildCommands(applicationId, guildId);
+      if (this.dryRun) {
+        return this.simulateRequest('PUT', route, commands.map(command => ({ ...command, id: 'dry-run' })));
+      }
+
+      const registered = await this.request('put', route, { body: commands });
+      this.recordAudit(audit);
+
+      // Success visualization
+      this.reportSuccess(`Successfully overwrote commands for Guild ID ${guildId} with ${registered.length} commands`);
+      return registered;
+    } catch (error) {
+      const requestError = classifyDiscordError(error);
+      if (!this.dryRun) this.recordAudit(audit, requestError);
+      this.reportError('Failed to overwrite guild commands', requestError, {
+        'Guild ID': guildId,
+        Action: `PUT guild commands for guild ${guildId}`
+      });
+
+      throw requestError;
+    }
+  }
+}
+
+/**
+ * Clear the terminal screen based on the operating system
+ */
+function clearScreen() {
+  process.stdout.write('\x1Bc');
+}
+
+/**
+ * Check whether stdout is a terminal; spinners and progress lines are only drawn there
+ * @returns {boolean} True if stdout is a TTY
+ */
+function isInteractiveOutput() {
+  return Boolean(process.stdout.isTTY);
+}
+
+/**
+ * Write a transient status line (spinner, progress bar) that clearStatusLine removes again
+ * Nothing is written when stdout is not a terminal, so piped output stays clean
+ * @param {string} text - Text to write
+ */
+function writeStatusLine(text) {
+  if (isInteractiveOutput()) process.stdout.write(text);
+}
+
+/**
+ * Clear the transient status line
+ */
+function clearStatusLine() {
+  if (!isInteractiveOutput()) return;
+  readline.clearLine(process.stdout, 0);
+  readline.cursorTo(process.stdout, 0);
+}
+
+/**
+ * Print what a client reports: successes, request errors, dry-run requests and rate limit waits
+ * The terminal UI attaches this to every client it creates; library users get a silent client
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @returns {DiscordAPI} The same client
+ */
+function attachConsoleReporter(discordClient) {
+  discordClient.on('success', message => {
+    if (!discordClient.quiet) console.log(chalk.green(`✓ ${message}`));
+  });
+
+  discordClient.on('requestError', ({ title, error, details, fix }) => {
+    clearStatusLine();
+    printRequestError(title, error, details, fix);
+  });
+
+  discordClient.on('dryRun', ({ method, route, result }) => {
+    clearStatusLine();
+    const count = Array.isArray(result) ? chalk.gray(` (${result.length} commands)`) : '';
+    console.log(chalk.bgBlue.white(' DRY RUN ') + ' ' + chalk.cyan(method.padEnd(6)) + ' ' + chalk.white(route) + count);
+  });
+
+  discordClient.on('rateLimitWait', ({ route, global, timeToReset }) => {
+    if (discordClient.quiet) return;
+    const seconds = (timeToReset / 1000).toFixed(1);
+    console.log(chalk.gray(`\n⏳ ${global ? 'Global' : 'Bucket'} rate limit reached for ${route}, waiting ${seconds}s before sending...`));
+  });
+
+  discordClient.on('rateLimited', ({ waitMs, attempt, maxRetries }) => {
+    console.log(chalk.yellow(`\n⚠️  Rate limited by Discord API. Waiting ${(waitMs / 1000).toFixed(1)} seconds... (retry ${attempt}/${maxRetries})`));
+  });
+
+  discordClient.on('rateLimitProgress', ({ done, total }) => {
+    // Update the progress bar in place
+    clearStatusLine();
+    writeStatusLine(done < total
+      ? `${formatProgressBar(done, total)} ${chalk.cyan(`(${done}/${total})`)}`
+      : `${formatProgressBar(1, 1)} ${chalk.cyan('Completed!')}\n`);
+  });
+
+  discordClient.on('warning', message => {
+    console.error(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow(message));
+  });
+
+  return discordClient;
+}
+
+/**
+ * Print the application banner
+ */
+function printBanner() {
+  const banner = [
+    chalk.blue('  ██████╗ ██╗███████╗ ██████╗ ██████╗ ██████╗ ██████╗ '),
+    chalk.blue('  ██╔══██╗██║██╔════╝██╔════╝██╔═══██╗██╔══██╗██╔══██╗'),
+    chalk.blue('  ██║  ██║██║███████╗██║     ██║   ██║██████╔╝██║  ██║'),
     chalk.blue('  ██║  ██║██║╚════██║██║     ██║   ██║██╔══██╗██║  ██║'),
     chalk.blue('  ██████╔╝██║███████║╚██████╗╚██████╔╝██║  ██║██████╔╝'),
     chalk.blue('  ╚═════╝ ╚═╝╚══════╝ ╚═════╝ ╚═════╝ ╚═╝  ╚═╝╚═════╝ '),
@@ -290,355 +1026,5303 @@ function printBanner() {
 }
 
 /**
- * List all global commands for the bot
- * @param {DiscordAPI} discordClient - The Discord API client
+ * Default location of the bot profile config, relative to the working directory
  */
-async function listGlobalCommands(discordClient) {
-  clearScreen();
-  console.log(chalk.bgCyan.black(' GLOBAL COMMANDS ') + '\n');
+const DEFAULT_PROFILES_FILE = 'profiles.json';
+
+/**
+ * A named bot from the profile config
+ * @typedef {Object} BotProfile
+ * @property {string} name - Profile name
+ * @property {string} [tokenEnv] - Environment variable holding the bot token
+ * @property {string} [tokenFile] - File holding the bot token
+ * @property {string} [clientId] - OAuth2 client ID, for client-credentials auth instead of a bot token
+ * @property {string} [clientSecretEnv] - Environment variable holding the OAuth2 client secret
+ * @property {string} [clientSecretFile] - File holding the OAuth2 client secret
+ * @property {string} [applicationId] - Application ID, if known
+ * @property {string} [permissionsTokenEnv] - Environment variable holding a user token for editing command permissions
+ * @property {string} [permissionsTokenFile] - File holding a user token for editing command permissions
+ * @property {string[]} [guildIds] - Guild IDs offered by default for guild operations
+ */
+
+/**
+ * Load the bot profile config
+ * @param {string} filePath - Profile config file
+ * @returns {{default: (string|undefined), profiles: Object<string, BotProfile>}|null} Config, or null if the file does not exist
+ */
+function loadProfiles(filePath) {
+  if (!fs.existsSync(filePath)) return null;
 
+  let config;
   try {
-    // Start loading spinner
-    const loadingMsg = 'Fetching global commands... ';
-    process.stdout.write(chalk.yellow(loadingMsg) + chalk.cyan('⟳'));
-    
-    const commands = await discordClient.getGlobalCommands();
-    
-    // Clear loading spinner
-    readline.clearLine(process.stdout, 0);
-    readline.cursorTo(process.stdout, 0);
-    
-    if (commands.length === 0) {
-      console.log(chalk.yellow('⚠️  No global commands found.'));
-      console.log(chalk.gray('└─ Your bot has no global slash commands registered.'));
-    } else {
-      console.log(chalk.green(`✅ Found ${commands.length} global commands:`));
-      
-      // Create a formatted table
-      console.log();
-      console.log(chalk.cyan('  # │ ') + chalk.cyan('NAME') + ' '.repeat(15) + chalk.cyan('│ COMMAND ID'));
-      console.log(chalk.cyan('────┼──────────────────────┼─────────────────────'));
-      
-      commands.forEach((cmd, i) => {
-        const index = chalk.white(`${i + 1}`.padStart(3));
-        const name = chalk.green(cmd.name.padEnd(20));
-        const id = chalk.blue(cmd.id);
-        console.log(`  ${index} │ ${name} │ ${id}`);
-        
-        // If command has a description, show it indented
-        if (cmd.description) {
-          console.log(`     │ ${chalk.gray('└─ ' + cmd.description.slice(0, 50) + (cmd.description.length > 50 ? '...' : ''))} │`);
-        }
-      });
-      console.log();
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read profiles from ${filePath}: ${error.message}`);
+  }
+
+  if (!config || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+    throw new Error(`${filePath} must contain a "profiles" object`);
+  }
+  if (config.default && !config.profiles[config.default]) {
+    throw new Error(`Default profile "${config.default}" is not defined in ${filePath}`);
+  }
+
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    profile.name = name;
+    const hasToken = profile.tokenEnv || profile.tokenFile;
+    const hasClientCredentials = profile.clientId && (profile.clientSecretEnv || profile.clientSecretFile);
+    if (!hasToken && !hasClientCredentials) {
+      throw new Error(`Profile "${name}" needs a "tokenEnv"/"tokenFile", or a "clientId" with "clientSecretEnv"/"clientSecretFile"`);
     }
+    if (profile.guildIds && (!Array.isArray(profile.guildIds) || !profile.guildIds.every(isValidSnowflake))) {
+      throw new Error(`Profile "${name}" has invalid "guildIds"`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Read a secret of a profile from an environment variable or a file
+ * @param {BotProfile} profile - Bot profile
+ * @param {string} [envName] - Environment variable holding the secret
+ * @param {string} [fileName] - File holding the secret
+ * @param {string} label - What the secret is, for error messages (e.g. 'token')
+ * @returns {string} The secret
+ */
+function readProfileSecret(profile, envName, fileName, label) {
+  if (envName) {
+    const secret = process.env[envName];
+    if (!secret) throw new Error(`Profile "${profile.name}": environment variable ${envName} is not set`);
+    return secret.trim();
+  }
+
+  const filePath = fileName.replace(/^~(?=$|[\\/])/, require('os').homedir());
+  let secret;
+  try {
+    secret = fs.readFileSync(filePath, 'utf8').trim();
   } catch (error) {
-    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to list global commands:`));
-    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+    throw new Error(`Profile "${profile.name}": could not read ${label} file ${filePath}: ${error.message}`);
+  }
+  if (!secret) throw new Error(`Profile "${profile.name}": ${label} file ${filePath} is empty`);
+  return secret;
+}
+
+/**
+ * Create a Discord API client for a profile, or from the environment when no profile is given
+ * The environment provides DISCORD_BOT_TOKEN, or DISCORD_CLIENT_ID and DISCORD_CLIENT_SECRET,
+ * plus an optional DISCORD_PERMISSIONS_TOKEN for editing command permissions
+ * @param {BotProfile|null} profile - Bot profile to use
+ * @param {Object} [clientOptions] - Extra DiscordAPI options (quiet, dryRun, applicationId, auditLog)
+ * @returns {DiscordAPI} The Discord API client
+ */
+function createDiscordClient(profile, clientOptions = {}) {
+  if (!profile) {
+    const { DISCORD_BOT_TOKEN, DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET, APPLICATION_ID, DISCORD_PERMISSIONS_TOKEN } = process.env;
+    const options = { applicationId: APPLICATION_ID, permissionsToken: DISCORD_PERMISSIONS_TOKEN, ...clientOptions };
+
+    if (!DISCORD_BOT_TOKEN && DISCORD_CLIENT_ID && DISCORD_CLIENT_SECRET) {
+      options.clientCredentials = { clientId: DISCORD_CLIENT_ID, clientSecret: DISCORD_CLIENT_SECRET };
+    }
+    return new DiscordAPI(DISCORD_BOT_TOKEN || null, options);
+  }
+
+  const options = { applicationId: profile.applicationId, ...clientOptions, profile };
+  if (profile.permissionsTokenEnv || profile.permissionsTokenFile) {
+    options.permissionsToken = readProfileSecret(profile, profile.permissionsTokenEnv, profile.permissionsTokenFile, 'permissions token');
+  }
+  if (profile.tokenEnv || profile.tokenFile) {
+    return new DiscordAPI(readProfileSecret(profile, profile.tokenEnv, profile.tokenFile, 'token'), options);
   }
 
-  await promptContinue();
+  options.clientCredentials = {
+    clientId: profile.clientId,
+    clientSecret: readProfileSecret(profile, profile.clientSecretEnv, profile.clientSecretFile, 'client secret')
+  };
+  return new DiscordAPI(null, options);
+}
+
+/**
+ * Check whether the environment has credentials to run without a profile
+ * @returns {boolean} True if a bot token or client credentials are set
+ */
+function hasEnvironmentCredentials() {
+  const { DISCORD_BOT_TOKEN, DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET } = process.env;
+  return Boolean(DISCORD_BOT_TOKEN || (DISCORD_CLIENT_ID && DISCORD_CLIENT_SECRET));
+}
+
+/**
+ * Get the Guild ID offered by default in prompts
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @returns {string|undefined} First default guild of the active profile
+ */
+function getDefaultGuildId(discordClient) {
+  return discordClient.profile?.guildIds?.[0];
 }
 
 /**
- * Delete all global commands for the bot
+ * Print which bot the cleaner is working with, under the banner
  * @param {DiscordAPI} discordClient - The Discord API client
  */
-async function deleteGlobalCommands(discordClient) {
+async function printBotInfo(discordClient) {
+  const profile = discordClient.profile ? chalk.gray(' · profile ') + chalk.cyan(discordClient.profile.name) : '';
+
+  // Bearer tokens from client credentials cannot look up the bot user
+  if (discordClient.clientCredentials) {
+    const applicationId = await discordClient.getApplicationId();
+    console.log(chalk.gray('  Application: ') + chalk.green(applicationId) + chalk.gray(' (client credentials)') + profile);
+    console.log();
+    return;
+  }
+
+  try {
+    const user = await discordClient.getBotUser();
+    console.log(chalk.gray('  Bot: ') + chalk.green(user.username) + chalk.gray(` (${user.id})`) + profile);
+  } catch (error) {
+    console.log(chalk.gray('  Bot: ') + chalk.red('unknown, check the token') + profile);
+  }
+  console.log();
+}
+
+/**
+ * Let the user switch to another bot profile
+ * @param {DiscordAPI} discordClient - The current Discord API client
+ * @param {Object|null} profiles - Loaded profile config
+ * @returns {Promise<DiscordAPI>} Client for the chosen bot (the current one if nothing changed)
+ */
+async function switchBotProfile(discordClient, profiles) {
   clearScreen();
-  console.log(chalk.bgRed.white(' DELETE GLOBAL COMMANDS ') + '\n');
+  console.log(chalk.bgBlue.white(' SWITCH BOT ') + '\n');
+
+  const choices = Object.values(profiles?.profiles || {}).map(profile => ({
+    name: profile.name + (discordClient.profile?.name === profile.name ? chalk.gray(' (current)') : ''),
+    value: profile
+  }));
+  if (hasEnvironmentCredentials()) {
+    choices.push({ name: 'Credentials from the environment' + (discordClient.profile ? '' : chalk.gray(' (current)')), value: null });
+  }
+
+  if (choices.length <= 1) {
+    console.log(chalk.yellow(`⚠️  No other bots configured.`));
+    console.log(chalk.gray(`└─ Add profiles to ${DEFAULT_PROFILES_FILE} (or the file given with --profiles) to switch between bots.`));
+    await promptContinue();
+    return discordClient;
+  }
+
+  const { profile } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'profile',
+      message: 'Select a bot:',
+      choices
+    }
+  ]);
 
   try {
-    // Start loading spinner
-    process.stdout.write(chalk.yellow('Fetching global commands... ') + chalk.cyan('⟳'));
-    
-    const commands = await discordClient.getGlobalCommands();
-    
-    // Clear loading spinner
-    readline.clearLine(process.stdout, 0);
-    readline.cursorTo(process.stdout, 0);
-    
-    if (commands.length === 0) {
-      console.log(chalk.yellow('⚠️  No global commands found to delete.'));
-      console.log(chalk.gray('└─ Your bot has no global slash commands registered.'));
-      await promptContinue();
-      return;
+    return attachConsoleReporter(createDiscordClient(profile, {
+      dryRun: discordClient.dryRun,
+      auditLog: discordClient.auditLog,
+      apiBaseUrl: discordClient.apiBaseUrl
+    }));
+  } catch (error) {
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to switch bot:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+    await promptContinue();
+    return discordClient;
+  }
+}
+
+/**
+ * Print a formatted table of commands
+ * @param {Array} commands - List of command objects
+ */
+function printCommandTable(commands) {
+  console.log();
+  console.log(chalk.cyan('  # │ ') + chalk.cyan('NAME') + ' '.repeat(15) + chalk.cyan('│ TYPE        │ COMMAND ID'));
+  console.log(chalk.cyan('────┼──────────────────────┼─────────────┼─────────────────────'));
+
+  commands.forEach((cmd, i) => {
+    const index = chalk.white(`${i + 1}`.padStart(3));
+    const name = chalk.green(cmd.name.padEnd(20));
+    const type = chalk.magenta(commandTypeLabel(cmd.type).padEnd(11));
+    const id = chalk.blue(cmd.id);
+    console.log(`  ${index} │ ${name} │ ${type} │ ${id}`);
+
+    // If command has a description, show it indented
+    if (cmd.description) {
+      console.log(`     │ ${chalk.gray('└─ ' + cmd.description.slice(0, 50) + (cmd.description.length > 50 ? '...' : ''))} │`);
     }
+  });
+  console.log();
+}
+
+/**
+ * Output formats of the list operations
+ */
+const LIST_FORMATS = ['table', 'json', 'csv', 'md'];
+
+/**
+ * File extensions for the list formats that can be saved to a file
+ */
+const LIST_FORMAT_EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  md: 'md'
+};
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} [text] - Cell text
+ * @returns {string} Escaped text
+ */
+function toMarkdownCell(text) {
+  return (text || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a list of commands in a machine-readable format
+ * Guild commands carry a guild_id, which gets its own column when present
+ * @param {Array} commands - List of command objects
+ * @param {string} format - 'json', 'csv' or 'md'
+ * @returns {string} Rendered listing
+ */
+function formatCommandList(commands, format) {
+  if (format === 'json') return JSON.stringify(commands, null, 2);
+
+  const withGuild = commands.some(cmd => cmd.guild_id);
+  const columns = [
+    ['Name', cmd => cmd.name],
+    ['Type', cmd => commandTypeLabel(cmd.type)],
+    ['Description', cmd => cmd.description],
+    ['ID', cmd => cmd.id],
+    ...(withGuild ? [['Guild ID', cmd => cmd.guild_id]] : [])
+  ];
+
+  if (format === 'csv') {
+    return [
+      columns.map(([title]) => toCsvField(title.toLowerCase().replace(' ', '_'))).join(','),
+      ...commands.map(cmd => columns.map(([, value]) => toCsvField(value(cmd))).join(','))
+    ].join('\n');
+  }
+
+  return [
+    `| ${columns.map(([title]) => title).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...commands.map(cmd => `| ${columns.map(([, value]) => toMarkdownCell(value(cmd))).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Wording for the operations that run over a list of commands
+ */
+const OPERATION_VERBS = {
+  delete: { base: 'delete', present: 'Deleting', past: 'Deleted', noun: 'deletion' },
+  restore: { base: 'restore', present: 'Restoring', past: 'Restored', noun: 'restore' },
+  reset: { base: 'reset', present: 'Resetting', past: 'Reset', noun: 'permission reset' }
+};
+
+/**
+ * Render a progress bar
+ * @param {number} done - Completed steps
+ * @param {number} total - Total steps
+ * @returns {string} Bar and percentage
+ */
+function formatProgressBar(done, total) {
+  const fraction = total === 0 ? 1 : done / total;
+  const filled = Math.floor(fraction * PROGRESS_BAR_WIDTH);
+  return `${chalk.blue('[' + '█'.repeat(filled) + '░'.repeat(PROGRESS_BAR_WIDTH - filled) + ']')} ${chalk.green(Math.floor(fraction * 100) + '%')}`;
+}
+
+/**
+ * Run an operation on commands with one aggregate progress bar (see processCommands)
+ * @param {Array} commands - List of command objects (or payloads) to process
+ * @param {Function} operation - Processes a single command, resolving to a truthy value on success
+ * @param {string} [verb='delete'] - Key of OPERATION_VERBS describing the operation
+ * @param {Object} options - Run options
+ * @param {number} [options.concurrency=1] - Maximum number of operations running at once
+ * @param {DiscordAPI} options.discordClient - Client whose per-request success messages are
+ *   silenced while the bar is shown, and whose progress events drive it
+ * @returns {Promise<{done: number, failed: CommandFailure[]}>} Number of commands processed
+ *   successfully, and the failed ones with their error (if known)
+ */
+async function runCommandsWithProgress(commands, operation, verb = 'delete', options = {}) {
+  const { concurrency = 1, discordClient } = options;
+  const words = OPERATION_VERBS[verb];
+  const totalCommands = commands.length;
+  console.log();
+  console.log(chalk.yellow(`Starting command ${words.noun}` + (concurrency > 1 ? ` (${concurrency} at a time)` : '') + '...'));
+
+  const drawProgress = (doneCount, failedCount) => {
+    const finishedCount = doneCount + failedCount;
+    clearStatusLine();
+    writeStatusLine(
+      `${formatProgressBar(finishedCount, totalCommands)} ${chalk.cyan(`(${finishedCount}/${totalCommands})`)} ` +
+      `${chalk.green(`✓ ${doneCount}`)} ${chalk.red(`✗ ${failedCount}`)}`
+    );
+  };
+
+  const onProgress = ({ command, ok, done, failed }) => {
+    if (!ok) {
+      clearStatusLine();
+      console.log(chalk.red(`✗ Failed to ${words.base} command: ${chalk.white(command.name)}`));
+    }
+    drawProgress(done, failed);
+  };
+
+  const wasQuiet = discordClient.quiet;
+  discordClient.quiet = true;
+  discordClient.on('progress', onProgress);
+  let result;
+  try {
+    drawProgress(0, 0);
+    result = await processCommands(discordClient, commands, operation, { action: verb, concurrency });
+  } finally {
+    discordClient.off('progress', onProgress);
+    discordClient.quiet = wasQuiet;
+  }
+
+  // Leave the finished bar on screen
+  writeStatusLine('\n');
+  return { done: result.succeeded.length, failed: result.failed };
+}
+
+/**
+ * Print failed commands with the error Discord returned for each
+ * @param {Array<{command: Object, error: ?Object}>} failed - Failed commands
+ */
+function printFailedCommands(failed) {
+  console.log();
+  console.log(chalk.red(`Failed commands (${failed.length}):`));
+  failed.forEach(({ command, error }) => {
+    const reason = error ? `${error.status || 'Unknown'} ${error.message}` : 'Unknown error';
+    console.log(chalk.gray('└─ ') + chalk.white(command.name) + ' ' + chalk.blue(command.id) + ' ' + chalk.red(reason));
+  });
+}
+
+/**
+ * Check whether a failed deletion is worth retrying
+ * Missing commands, guilds, access or credentials cannot be fixed by sending the request again
+ * @param {{error: ?DiscordRequestError}} failure - Failed command
+ * @returns {boolean} True if the deletion may succeed on a retry
+ */
+function isRetryableFailure(failure) {
+  return failure.error ? failure.error.retryable : true;
+}
+
+/**
+ * Delete commands, then offer to retry the failed ones with backoff
+ * Interactive runs ask before every retry round; otherwise rounds only run with options.retry
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Array} targets - Commands to delete
+ * @param {Function} operation - Deletes a single command, resolving to true on success
+ * @param {Object} options - Deletion options (interactive, retry, concurrency)
+ * @returns {Promise<{done: number, failed: Array}>} Deleted count and the commands still failing
+ */
+async function deleteCommandsWithRetry(discordClient, targets, operation, options) {
+  const { interactive = true, retry = false } = options;
+  const runOptions = { concurrency: options.concurrency || DEFAULT_CONCURRENCY, discordClient };
+  let { done, failed } = await runCommandsWithProgress(targets, operation, 'delete', runOptions);
+
+  for (let round = 0; failed.length > 0 && round < MAX_RETRIES; round++) {
+    printFailedCommands(failed);
+
+    const retryable = failed.filter(isRetryableFailure);
+    if (retryable.length === 0) {
+      console.log(chalk.gray('└─ None of them can be retried; see the cause and fix above.'));
+      break;
+    }
+
+    const confirm = retry || (interactive && await promptConfirm(`Retry ${retryable.length} failed deletions?`));
+    if (!confirm) break;
+
+    const delayMs = RETRY_BASE_DELAY_MS * 2 ** round;
+    console.log(chalk.yellow(`⚠️  Retrying in ${(delayMs / 1000).toFixed(1)} seconds... (retry ${round + 1}/${MAX_RETRIES})`));
+    await discordClient.sleep(delayMs);
+
+    const result = await runCommandsWithProgress(retryable.map(failure => failure.command), operation, 'delete', runOptions);
+    done += result.done;
+    failed = [...failed.filter(failure => !isRetryableFailure(failure)), ...result.failed];
+  }
+
+  return { done, failed };
+}
+
+/**
+ * Print the final summary of an operation with a visual indicator
+ * @param {number} doneCount - Number of commands that were processed successfully
+ * @param {number} totalCommands - Number of commands that were attempted
+ * @param {string} scope - Scope label used in the message ('global' or 'guild')
+ * @param {string} [verb='delete'] - Key of OPERATION_VERBS describing the operation
+ * @param {boolean} [simulated=false] - Whether the operation was a dry run
+ */
+function printOperationSummary(doneCount, totalCommands, scope, verb = 'delete', simulated = false) {
+  const words = OPERATION_VERBS[verb];
+  const suffix = simulated ? ' (simulated, nothing was changed)' : '';
+  console.log();
+  if (doneCount === totalCommands) {
+    console.log(chalk.bgGreen.black(' SUCCESS ') + ' ' + chalk.green(`${words.past} all ${doneCount} ${scope} commands${suffix}.`));
+  } else if (doneCount > 0) {
+    console.log(chalk.bgYellow.black(' PARTIAL ') + ' ' + chalk.yellow(`${words.past} ${doneCount}/${totalCommands} ${scope} commands${suffix}.`));
+    console.log(chalk.gray(`└─ ${totalCommands - doneCount} commands failed to ${words.base}.`));
+  } else {
+    console.log(chalk.bgRed.white(' FAILED ') + ' ' + chalk.red(`Failed to ${words.base} any ${scope} commands${suffix}.`));
+  }
+}
+
+/**
+ * Print the rate limit metrics collected during this run
+ * @param {DiscordAPI} discordClient - The Discord API client
+ */
+function printRateLimitMetrics(discordClient) {
+  const metrics = discordClient.rateLimitMetrics;
+  if (discordClient.quiet || metrics.requests === 0) return;
+
+  console.log();
+  console.log(chalk.bgBlue.white(' RATE LIMITS ') + ' ' +
+    chalk.white(`${metrics.requests} requests`) + chalk.gray(' · ') +
+    chalk.yellow(`${metrics.rateLimit} rate limited (${metrics.globalRateLimit} global)`) + chalk.gray(' · ') +
+    chalk.cyan(`${metrics.proactiveWaits} queued waits`) + chalk.gray(' · ') +
+    chalk.cyan(`${metrics.retries} retries`) + chalk.gray(' · ') +
+    chalk.white(`waited ${(metrics.waitedMs / 1000).toFixed(1)}s`));
+  console.log(chalk.gray(`└─ Buckets seen: ${metrics.buckets.size} · Last remaining: ${metrics.rateLimitRemaining} · Gave up after ${MAX_RETRIES} retries: ${metrics.exhausted}`));
+}
+
+/**
+ * Short reason a guild could not be processed, for the per-guild report tables
+ * @param {Error} error - Error thrown while fetching the guild's commands
+ * @returns {string} The reason
+ */
+function describeGuildFailure(error) {
+  if (error instanceof UnknownGuildError || error instanceof MissingAccessError) {
+    return `bot is not in this guild (${error.message})`;
+  }
+  if (error instanceof InvalidTokenError || error instanceof MissingScopeError) {
+    return `not authorized (${error.message})`;
+  }
+  return error.message;
+}
+
+/**
+ * Tell the user that write requests will only be simulated
+ * @param {DiscordAPI} discordClient - The Discord API client
+ */
+function printDryRunNotice(discordClient) {
+  if (!discordClient.dryRun) return;
+  console.log(chalk.bgBlue.white(' DRY RUN ') + ' ' + chalk.cyan('Requests that change commands will be logged, not sent.'));
+  console.log();
+}
+
+/**
+ * Ask the user for a Guild ID
+ * @param {string} action - What the Guild ID is needed for (e.g. 'list', 'delete')
+ * @param {string} [defaultGuildId] - Pre-filled Guild ID, e.g. from the active bot profile
+ * @returns {Promise<string>} The Guild ID entered by the user
+ */
+async function promptGuildId(action, defaultGuildId) {
+  console.log(chalk.yellow(`To ${action} guild commands, you need to provide the Guild ID of your Discord server.`));
+  console.log(chalk.gray('└─ You can find the Guild ID by enabling Developer Mode in Discord, then right-clicking on your server.'));
+  console.log();
+
+  const { guildId } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'guildId',
+      message: 'Enter Guild ID:',
+      default: defaultGuildId,
+      validate: input => isValidSnowflake(input) || 'Please enter a valid Guild ID (numbers only)'
+    }
+  ]);
+
+  return guildId;
+}
+
+/**
+ * Check whether a value looks like a Discord ID (snowflake)
+ * @param {string} value - Value to check
+ * @returns {boolean} True if the value contains only digits
+ */
+function isValidSnowflake(value) {
+  return /^\d+$/.test(value);
+}
+
+/**
+ * Ask the user to confirm a destructive operation
+ * @param {string} message - Confirmation question
+ * @returns {Promise<boolean>} True if the user confirmed
+ */
+async function promptConfirm(message) {
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: chalk.red(message),
+      default: false
+    }
+  ]);
+
+  return confirm;
+}
+
+/**
+ * Criteria for picking commands without the interactive picker
+ * @typedef {Object} CommandSelection
+ * @property {string[]} [names] - Exact command names
+ * @property {string[]} [ids] - Exact command IDs
+ * @property {string} [match] - Glob (e.g. "test-*") or /regex/flags matched against command names
+ * @property {number[]} [types] - Only commands of these types (see COMMAND_TYPES)
+ */
+
+/**
+ * Convert a glob pattern (supporting * and ?) to an anchored regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Equivalent regular expression
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse a --match pattern, treating /.../flags as a regular expression and anything else as a glob
+ * The g and y flags are dropped: they make test() resume from the previous match, which would
+ * skip commands when one pattern is tested against each name in turn
+ * @param {string} pattern - Pattern given by the user
+ * @returns {RegExp} Regular expression to test command names against
+ */
+function parseMatchPattern(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  return regex ? new RegExp(regex[1], regex[2].replace(/[gy]/g, '')) : globToRegExp(pattern);
+}
+
+/**
+ * Check whether a selection has any criteria set
+ * @param {CommandSelection} selection - Selection to check
+ * @returns {boolean} True if at least one criterion is set
+ */
+function hasSelection(selection = {}) {
+  return Boolean(selection.names?.length || selection.ids?.length || selection.match || selection.types?.length);
+}
+
+/**
+ * Filter commands by type, then by name, ID or pattern; a command of a selected type
+ * is kept if it matches any of the name, ID and pattern criteria (or none are set)
+ * @param {Array} commands - List of command objects
+ * @param {CommandSelection} selection - Selection criteria
+ * @returns {Array} Matching commands, in their original order
+ */
+function filterCommands(commands, selection) {
+  const { names = [], ids = [], match, types = [] } = selection;
+  const pattern = match ? parseMatchPattern(match) : null;
+  const byName = names.length > 0 || ids.length > 0 || pattern !== null;
+
+  return commands.filter(cmd =>
+    (types.length === 0 || types.includes(cmd.type || COMMAND_TYPES.CHAT_INPUT)) &&
+    (!byName || names.includes(cmd.name) || ids.includes(cmd.id) || (pattern !== null && pattern.test(cmd.name)))
+  );
+}
+
+/**
+ * Check whether a command is the entry point and was not asked for explicitly
+ * Deleting the entry point removes the button that launches the app's Activity
+ * @param {Object} command - Command object
+ * @param {CommandSelection} selection - Selection the command was picked by
+ * @param {boolean} includeEntryPoint - Whether the entry point may be deleted anyway
+ * @returns {boolean} True if the command must be kept
+ */
+function isProtectedEntryPoint(command, selection, includeEntryPoint) {
+  if (command.type !== COMMAND_TYPES.PRIMARY_ENTRY_POINT || includeEntryPoint) return false;
+
+  const { names = [], ids = [], types = [] } = selection;
+  return !names.includes(command.name) && !ids.includes(command.id) && !types.includes(COMMAND_TYPES.PRIMARY_ENTRY_POINT);
+}
+
+/**
+ * Drop the entry point command from deletion targets unless it was asked for explicitly
+ * @param {Array} targets - Commands selected for deletion
+ * @param {CommandSelection} selection - Selection the targets were picked by
+ * @param {boolean} [includeEntryPoint=false] - Whether the entry point may be deleted anyway
+ * @returns {Array} Targets without a protected entry point
+ */
+function withoutEntryPoint(targets, selection = {}, includeEntryPoint = false) {
+  targets.filter(cmd => isProtectedEntryPoint(cmd, selection, includeEntryPoint)).forEach(cmd => {
+    console.log(chalk.yellow(`⚠️  Keeping entry point command ${chalk.white(cmd.name)}.`));
+    console.log(chalk.gray('└─ Select it by name, ID or type, or pass --include-entry-point, to delete it.'));
+  });
+
+  return targets.filter(cmd => !isProtectedEntryPoint(cmd, selection, includeEntryPoint));
+}
+
+/**
+ * Warn about names and IDs in a selection that do not exist in the command list
+ * @param {Array} commands - List of command objects
+ * @param {CommandSelection} selection - Selection criteria
+ */
+function warnUnmatchedSelection(commands, selection) {
+  const { names = [], ids = [] } = selection;
+  const missingNames = names.filter(name => !commands.some(cmd => cmd.name === name));
+  const missingIds = ids.filter(id => !commands.some(cmd => cmd.id === id));
+
+  missingNames.forEach(name => console.log(chalk.yellow(`⚠️  No command named ${chalk.white(name)} found.`)));
+  missingIds.forEach(id => console.log(chalk.yellow(`⚠️  No command with ID ${chalk.white(id)} found.`)));
+}
+
+/**
+ * Let the user pick which commands to delete
+ * @param {Array} commands - List of command objects
+ * @param {boolean} [includeEntryPoint=false] - Whether "all" and pattern modes may include the entry point
+ * @returns {Promise<Array>} Commands chosen for deletion
+ */
+async function promptCommandSelection(commands, includeEntryPoint = false) {
+  const { mode } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'mode',
+      message: 'Which commands do you want to delete?',
+      choices: [
+        { name: 'All commands', value: 'all' },
+        { name: 'Choose commands from the list', value: 'pick' },
+        { name: 'Commands matching a pattern', value: 'match' },
+        { name: 'Commands of a type', value: 'type' }
+      ]
+    }
+  ]);
+
+  if (mode === 'pick') {
+    const { picked } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'picked',
+        message: 'Select commands to delete (space to toggle, enter to confirm):',
+        choices: commands.map(cmd => ({ name: `${cmd.name} ${chalk.gray(`(${cmd.id})`)}`, value: cmd.id })),
+        pageSize: 15
+      }
+    ]);
+    return commands.filter(cmd => picked.includes(cmd.id));
+  }
+
+  if (mode === 'match') {
+    const { match } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'match',
+        message: 'Enter a glob (e.g. test-*) or /regex/:',
+        validate: input => validateMatchPattern(input)
+      }
+    ]);
+    return withoutEntryPoint(filterCommands(commands, { match }), {}, includeEntryPoint);
+  }
+
+  if (mode === 'type') {
+    const presentTypes = [...new Set(commands.map(cmd => cmd.type || COMMAND_TYPES.CHAT_INPUT))];
+    const { types } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'types',
+        message: 'Select command types to delete (space to toggle, enter to confirm):',
+        choices: presentTypes.map(type => ({ name: commandTypeLabel(type), value: type }))
+      }
+    ]);
+    return types.length > 0 ? filterCommands(commands, { types }) : [];
+  }
+
+  return withoutEntryPoint(commands, {}, includeEntryPoint);
+}
+
+/**
+ * Validate a --match pattern
+ * @param {string} pattern - Pattern given by the user
+ * @returns {true|string} True if valid, otherwise an error message
+ */
+function validateMatchPattern(pattern) {
+  if (!pattern) return 'Please enter a pattern';
+  try {
+    parseMatchPattern(pattern);
+    return true;
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+}
+
+/**
+ * Work out which commands a delete operation should remove
+ * @param {Array} commands - All fetched commands
+ * @param {Object} options - Deletion options (see deleteGlobalCommands)
+ * @returns {Promise<Array>} Commands to delete
+ */
+async function resolveDeletionTargets(commands, options) {
+  const { interactive = true, selection = {}, includeEntryPoint = false } = options;
+
+  if (hasSelection(selection)) {
+    warnUnmatchedSelection(commands, selection);
+    return withoutEntryPoint(filterCommands(commands, selection), selection, includeEntryPoint);
+  }
+
+  return interactive
+    ? promptCommandSelection(commands, includeEntryPoint)
+    : withoutEntryPoint(commands, selection, includeEntryPoint);
+}
+
+/**
+ * Print the commands picked for deletion
+ * @param {Array} targets - Commands that will be deleted
+ * @param {number} totalCommands - Number of commands fetched
+ */
+function printSelectedCommands(targets, totalCommands) {
+  console.log();
+  console.log(chalk.cyan(`Selected ${targets.length} of ${totalCommands} commands:`));
+  targets.forEach(cmd => console.log(chalk.gray('└─ ') + chalk.green(cmd.name) + ' ' + chalk.magenta(commandTypeLabel(cmd.type)) + ' ' + chalk.blue(cmd.id)));
+  console.log();
+}
+
+/**
+ * Where a set of commands lives: globally or in one guild
+ * @typedef {Object} CommandTarget
+ * @property {'global'|'guild'} scope - Command scope
+ * @property {string} [guildId] - Guild ID when scope is 'guild'
+ */
+
+/**
+ * Fields Discord adds to registered commands that must not be sent back when creating them
+ */
+const SERVER_ONLY_FIELDS = ['id', 'application_id', 'version', 'guild_id'];
+
+/**
+ * Default directory for command backups, relative to the working directory
+ */
+const DEFAULT_BACKUP_DIR = 'backups';
+
+/**
+ * Describe a command target for messages
+ * @param {CommandTarget} target - Command target
+ * @returns {string} 'global commands' or 'commands for Guild ID <id>'
+ */
+function describeTarget(target) {
+  return target.scope === 'guild' ? `commands for Guild ID ${target.guildId}` : 'global commands';
+}
+
+/**
+ * Fetch the commands registered for a target
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {CommandTarget} target - Command target
+ * @returns {Promise<Array>} List of command objects
+ */
+function fetchTargetCommands(discordClient, target) {
+  return target.scope === 'guild'
+    ? discordClient.getGuildCommands(target.guildId)
+    : discordClient.getGlobalCommands();
+}
+
+/**
+ * Strip server-only fields from a registered command so it can be registered again
+ * @param {Object} command - Command object as returned by Discord
+ * @returns {Object} Command payload
+ */
+function toCommandPayload(command) {
+  const payload = { ...command };
+  SERVER_ONLY_FIELDS.forEach(field => delete payload[field]);
+  return payload;
+}
+
+/**
+ * Resolve the backup directory from options and the environment
+ * @param {Object} [options] - Options that may contain backupDir
+ * @returns {string} Backup directory
+ */
+function getBackupDir(options = {}) {
+  return options.backupDir || process.env.BACKUP_DIR || DEFAULT_BACKUP_DIR;
+}
+
+/**
+ * Write a timestamped JSON snapshot of commands
+ * @param {Array} commands - Full command objects as returned by Discord
+ * @param {CommandTarget} target - Where the commands were fetched from
+ * @param {Object} meta - Snapshot metadata
+ * @param {string} meta.applicationId - Application the commands belong to
+ * @param {string} meta.backupDir - Directory to write the snapshot to
+ * @param {string} [meta.reason='manual'] - Why it was taken: 'manual', or the change about to be made
+ * @returns {string} Path of the written snapshot
+ */
+function writeBackup(commands, target, { applicationId, backupDir, reason = 'manual' }) {
+  const createdAt = new Date();
+  const stamp = createdAt.toISOString().replace(/[:.]/g, '-');
+  const prefix = target.scope === 'guild' ? `guild-${target.guildId}` : 'global';
+  const filePath = path.join(backupDir, `${prefix}-${stamp}.json`);
+
+  const snapshot = {
+    createdAt: createdAt.toISOString(),
+    reason,
+    applicationId,
+    scope: target.scope,
+    guildId: target.scope === 'guild' ? target.guildId : null,
+    commands
+  };
+
+  fs.mkdirSync(backupDir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + '\n');
+  return filePath;
+}
+
+/**
+ * Read and validate a backup snapshot
+ * @param {string} filePath - Path of the snapshot file
+ * @returns {Object} Snapshot with createdAt, applicationId, scope, guildId and commands
+ */
+function readBackup(filePath) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read backup ${filePath}: ${error.message}`);
+  }
+
+  if (!snapshot || !Array.isArray(snapshot.commands) || !['global', 'guild'].includes(snapshot.scope)) {
+    throw new Error(`${filePath} is not a command backup`);
+  }
+  if (snapshot.scope === 'guild' && !isValidSnowflake(snapshot.guildId || '')) {
+    throw new Error(`${filePath} is a guild backup without a valid guildId`);
+  }
+
+  return snapshot;
+}
+
+/**
+ * List backup files in a directory, newest first (permission exports are skipped)
+ * @param {string} backupDir - Backup directory
+ * @returns {string[]} Paths of backup files
+ */
+function listBackupFiles(backupDir) {
+  if (!fs.existsSync(backupDir)) return [];
+
+  return fs.readdirSync(backupDir)
+    .filter(file => file.endsWith('.json') && !file.startsWith('permissions-'))
+    .map(file => path.join(backupDir, file))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+}
+
+/**
+ * Backup as part of the snapshot history of its scope
+ * @typedef {Object} CommandSnapshot
+ * @property {number} version - Position in the scope's history, counting up from 1 for the
+ *   oldest backup kept (deleting old backups renumbers the rest)
+ * @property {string} reason - Why it was taken: 'manual', 'delete', 'sync', 'restore' or 'rollback'
+ *   ('backup' for backups written before reasons were recorded)
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} applicationId - Application the commands belong to
+ * @property {string} scope - 'global' or 'guild'
+ * @property {?string} guildId - Guild of guild snapshots
+ * @property {Array} commands - Commands as returned by Discord
+ * @property {string} file - The backup file
+ */
+
+/**
+ * Read the snapshot history of a scope from the backups of an application, newest first
+ * Files in the backup directory that are not backups are skipped
+ * @param {string} backupDir - Backup directory
+ * @param {string} applicationId - Application the commands belong to
+ * @param {CommandTarget} target - Scope
+ * @returns {CommandSnapshot[]} Snapshots with their file
+ */
+function readSnapshotHistory(backupDir, applicationId, target) {
+  const backups = [];
+  for (const file of listBackupFiles(backupDir)) {
+    let backup;
+    try {
+      backup = readBackup(file);
+    } catch {
+      continue;
+    }
+    const sameScope = backup.scope === target.scope && (target.scope !== 'guild' || backup.guildId === target.guildId);
+    if (backup.applicationId === applicationId && sameScope) backups.push({ ...backup, file });
+  }
+
+  return backups
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt) || a.file.localeCompare(b.file))
+    .map((backup, index) => ({ ...backup, version: index + 1, reason: backup.reason || 'backup' }))
+    .reverse();
+}
+
+/**
+ * Find a snapshot in a history
+ * @param {CommandSnapshot[]} history - Snapshots, newest first
+ * @param {string|number} ref - Version number, 'latest', or a date or time: the newest snapshot
+ *   taken at or before it (a bare date counts until the end of that day)
+ * @returns {CommandSnapshot} The snapshot
+ */
+function findSnapshot(history, ref) {
+  const text = String(ref).trim();
+  let snapshot;
+
+  if (text === 'latest') {
+    snapshot = history[0];
+  } else if (/^v?\d+$/.test(text)) {
+    snapshot = history.find(entry => entry.version === Number(text.replace(/^v/, '')));
+  } else {
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(text) ? Date.parse(`${text}T23:59:59.999`) : Date.parse(text);
+    if (Number.isNaN(time)) throw new Error(`Unknown snapshot "${text}"; use a version number, "latest", or a date like 2024-05-14`);
+    snapshot = history.find(entry => Date.parse(entry.createdAt) <= time);
+  }
+
+  if (!snapshot) throw new Error(history.length === 0 ? 'There are no snapshots of this scope yet' : `No snapshot matches "${text}"`);
+  return snapshot;
+}
+
+/**
+ * Save a backup of a target's commands before they are changed, and say where it went
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Array} commands - Commands currently registered for the target
+ * @param {CommandTarget} target - Target about to be changed
+ * @param {Object} [options] - Operation options (backup, backupDir)
+ * @param {string} [reason] - Change about to be made, recorded in the backup
+ * @returns {Promise<string|null>} Path of the backup, or null if backups are disabled
+ */
+async function backupCommandsBeforeChange(discordClient, commands, target, options = {}, reason) {
+  const filePath = await saveBackupBeforeChange(discordClient, commands, target, options, reason);
+  printBackupNotice(discordClient, filePath, commands.length, target, options);
+  return filePath;
+}
+
+/**
+ * Say where a backup was saved, or why none was written
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {string|null} filePath - Path of the backup, if one was written
+ * @param {number} count - Number of backed up commands
+ * @param {CommandTarget} target - Target that was backed up
+ * @param {Object} [options] - Operation options (backup)
+ */
+function printBackupNotice(discordClient, filePath, count, target, options = {}) {
+  if (filePath) {
+    console.log(chalk.green(`💾 Backup of ${count} ${describeTarget(target)} saved to ${chalk.white(filePath)}`));
+  } else if (options.backup === false) {
+    console.log(chalk.gray('└─ Skipping backup (--no-backup)'));
+  } else if (discordClient.dryRun) {
+    console.log(chalk.gray('└─ Skipping backup (dry run)'));
+  }
+}
+
+/**
+ * Ask the user whether to work with global or guild commands
+ * @param {string} action - What the target is needed for (e.g. 'back up')
+ * @param {string} [defaultGuildId] - Pre-filled Guild ID, e.g. from the active bot profile
+ * @returns {Promise<CommandTarget>} Chosen target
+ */
+async function promptTarget(action, defaultGuildId) {
+  const { scope } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'scope',
+      message: `Which commands do you want to ${action}?`,
+      choices: [
+        { name: 'Global commands', value: 'global' },
+        { name: 'Guild commands', value: 'guild' }
+      ]
+    }
+  ]);
+
+  if (scope === 'global') return { scope };
+
+  console.log();
+  return { scope, guildId: await promptGuildId(action, defaultGuildId) };
+}
+
+/**
+ * Application command types, as used in the "type" field
+ */
+const COMMAND_TYPES = {
+  CHAT_INPUT: 1,
+  USER: 2,
+  MESSAGE: 3,
+  PRIMARY_ENTRY_POINT: 4
+};
+
+/**
+ * Short labels for command types, as shown in tables
+ */
+const COMMAND_TYPE_LABELS = {
+  [COMMAND_TYPES.CHAT_INPUT]: 'SLASH',
+  [COMMAND_TYPES.USER]: 'USER',
+  [COMMAND_TYPES.MESSAGE]: 'MESSAGE',
+  [COMMAND_TYPES.PRIMARY_ENTRY_POINT]: 'ENTRY POINT'
+};
+
+/**
+ * Values accepted by --type
+ */
+const COMMAND_TYPE_FLAGS = {
+  slash: COMMAND_TYPES.CHAT_INPUT,
+  user: COMMAND_TYPES.USER,
+  message: COMMAND_TYPES.MESSAGE,
+  'entry-point': COMMAND_TYPES.PRIMARY_ENTRY_POINT
+};
+
+/**
+ * Get the table label of a command type
+ * @param {number} [type] - Command type (defaults to CHAT_INPUT like Discord does)
+ * @returns {string} Short label, or the number if unknown
+ */
+function commandTypeLabel(type = COMMAND_TYPES.CHAT_INPUT) {
+  return COMMAND_TYPE_LABELS[type] || String(type);
+}
+
+/**
+ * Parse a --type value into command types
+ * @param {string[]} values - Type names (slash, user, message, entry-point)
+ * @returns {number[]} Command types
+ */
+function parseCommandTypes(values) {
+  return values.map(value => {
+    if (!(value in COMMAND_TYPE_FLAGS)) {
+      throw new Error(`Unknown command type: ${value} (${Object.keys(COMMAND_TYPE_FLAGS).join(', ')})`);
+    }
+    return COMMAND_TYPE_FLAGS[value];
+  });
+}
+
+/**
+ * Name rule for slash command names and option names
+ */
+const CHAT_INPUT_NAME_REGEX = /^[-_\p{L}\p{N}\p{sc=Deva}\p{sc=Thai}]{1,32}$/u;
+
+/**
+ * Turn whatever a definition module exports into a plain command payload
+ * Accepts plain objects, builders with toJSON() and discord.js-style { data, execute } modules
+ * @param {*} definition - Exported definition
+ * @returns {Object} Command payload
+ */
+function normalizeDefinition(definition) {
+  let command = definition;
+  if (command && command.data && !command.name) command = command.data;
+  if (command && typeof command.toJSON === 'function') command = command.toJSON();
+  return command && typeof command === 'object' ? toCommandPayload(command) : command;
+}
+
+/**
+ * Read the command definitions exported by a single JSON or JS file
+ * @param {string} filePath - Definition file
+ * @returns {Array} Command payloads
+ */
+function loadDefinitionFile(filePath) {
+  let exported;
+  try {
+    exported = filePath.endsWith('.json')
+      ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      : require(path.resolve(filePath));
+  } catch (error) {
+    throw new Error(`Could not load ${filePath}: ${error.message}`);
+  }
+
+  // Allow { commands: [...] } wrappers, which also covers backup snapshots
+  if (exported && !Array.isArray(exported) && Array.isArray(exported.commands)) {
+    exported = exported.commands;
+  }
+
+  return (Array.isArray(exported) ? exported : [exported]).map(normalizeDefinition);
+}
+
+/**
+ * Load command definitions from a JSON/JS file or a directory of JSON/JS modules
+ * @param {string} source - File or directory path
+ * @returns {Array} Command payloads
+ */
+function loadCommandDefinitions(source) {
+  if (!fs.existsSync(source)) {
+    throw new Error(`Definitions path ${source} does not exist`);
+  }
+
+  if (!fs.statSync(source).isDirectory()) {
+    return loadDefinitionFile(source);
+  }
+
+  return fs.readdirSync(source, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const entryPath = path.join(source, entry.name);
+      if (entry.isDirectory()) return loadCommandDefinitions(entryPath);
+      return /\.(js|cjs|json)$/.test(entry.name) ? loadDefinitionFile(entryPath) : [];
+    });
+}
+
+/**
+ * Limits Discord enforces on application commands
+ * Command counts apply per scope: to the global commands and to the commands of each guild
+ */
+const COMMAND_LIMITS = {
+  CHAT_INPUT_COMMANDS: 100,
+  CONTEXT_MENU_COMMANDS: 15,
+  ENTRY_POINT_COMMANDS: 1,
+  OPTIONS: 25,
+  CHOICES: 25,
+  NAME_LENGTH: 32,
+  DESCRIPTION_LENGTH: 100,
+  CHOICE_LENGTH: 100,
+  TOTAL_CHARACTERS: 4000
+};
+
+/**
+ * Share of a limit from which the linter warns that a command set is getting close to it
+ */
+const LIMIT_WARNING_RATIO = 0.9;
+
+/**
+ * Option types that may have choices
+ */
+const CHOICE_OPTION_TYPES = [3, 4, 10];
+
+/**
+ * Problem found by lintCommandDefinitions()
+ * @typedef {Object} LintIssue
+ * @property {string} severity - 'error' if Discord would reject it, 'warning' if it is close to a limit
+ * @property {string} message - What is wrong, naming the command (and option)
+ */
+
+/**
+ * Count the characters of a command that Discord adds up against its total character limit:
+ * names, descriptions and choice names and values, including those of all options
+ * @param {Object} command - Command payload or option
+ * @returns {number} Character count
+ */
+function countCommandCharacters(command) {
+  const own = [command.name, command.description]
+    .concat((command.choices || []).flatMap(choice => [choice.name, choice.value]))
+    .reduce((sum, value) => sum + (value === undefined || value === null ? 0 : String(value).length), 0);
+  return own + (command.options || []).reduce((sum, option) => sum + countCommandCharacters(option || {}), 0);
+}
+
+/**
+ * Check that localized names and descriptions follow the same rules as the defaults
+ * @param {Object} entry - Command or option
+ * @param {string} label - How to refer to the entry in messages
+ * @param {boolean} slashName - Whether names must follow the slash command name rule
+ * @param {Function} error - Records an error message
+ */
+function lintLocalizations(entry, label, slashName, error) {
+  Object.entries(entry.name_localizations || {}).forEach(([locale, name]) => {
+    const valid = slashName
+      ? CHAT_INPUT_NAME_REGEX.test(name) && name === name.toLowerCase()
+      : typeof name === 'string' && name.length >= 1 && name.length <= COMMAND_LIMITS.NAME_LENGTH;
+    if (!valid) error(`${label} has an invalid ${locale} name "${name}"`);
+  });
+  Object.entries(entry.description_localizations || {}).forEach(([locale, description]) => {
+    if (typeof description !== 'string' || description.length < 1 || description.length > COMMAND_LIMITS.DESCRIPTION_LENGTH) {
+      error(`${label} needs a ${locale} description of 1-${COMMAND_LIMITS.DESCRIPTION_LENGTH} characters`);
+    }
+  });
+}
+
+/**
+ * Check the options of a slash command, a subcommand group or a subcommand
+ * @param {Array} options - Options to check
+ * @param {string} label - How to refer to their parent in messages
+ * @param {string} parent - 'command', 'group' or 'subcommand'; decides which option types may appear
+ * @param {Function} error - Records an error message
+ */
+function lintOptions(options, label, parent, error) {
+  if (options === undefined || options === null) return;
+  if (!Array.isArray(options)) {
+    error(`${label} has options that are not an array`);
+    return;
+  }
+  if (options.length > COMMAND_LIMITS.OPTIONS) {
+    error(`${label} has ${options.length} options; Discord allows ${COMMAND_LIMITS.OPTIONS}`);
+  }
+
+  const isSubcommand = option => option && (option.type === 1 || option.type === 2);
+  if (parent === 'command' && options.some(isSubcommand) && !options.every(isSubcommand)) {
+    error(`${label} mixes subcommands with other options`);
+  }
+
+  const seen = new Set();
+  let optionalSeen = false;
+  options.forEach((option, i) => {
+    const optionLabel = `${label} option ${option && option.name ? `"${option.name}"` : `#${i + 1}`}`;
+    if (!option || typeof option !== 'object') {
+      error(`${optionLabel} is not an object`);
+      return;
+    }
+
+    if (!OPTION_TYPES[option.type]) {
+      error(`${optionLabel} has an unknown type ${option.type}`);
+    }
+    if (typeof option.name !== 'string' || !CHAT_INPUT_NAME_REGEX.test(option.name) || option.name !== option.name.toLowerCase()) {
+      error(`${optionLabel} must be named with 1-${COMMAND_LIMITS.NAME_LENGTH} lowercase letters, numbers, - or _`);
+    }
+    if (typeof option.description !== 'string' || option.description.length < 1 || option.description.length > COMMAND_LIMITS.DESCRIPTION_LENGTH) {
+      error(`${optionLabel} needs a description of 1-${COMMAND_LIMITS.DESCRIPTION_LENGTH} characters`);
+    }
+    if (seen.has(option.name)) {
+      error(`${optionLabel} is defined more than once`);
+    }
+    seen.add(option.name);
+    lintLocalizations(option, optionLabel, true, error);
+
+    // Groups may only hold subcommands, and subcommands only plain options
+    if (option.type === 2) {
+      if (parent !== 'command') error(`${optionLabel} is a subcommand group nested too deep; groups must be top-level options`);
+      lintOptions(option.options, optionLabel, 'group', error);
+      return;
+    }
+    if (option.type === 1) {
+      if (parent === 'subcommand') error(`${optionLabel} is a subcommand nested in a subcommand`);
+      lintOptions(option.options, optionLabel, 'subcommand', error);
+      return;
+    }
+    if (parent === 'group') {
+      error(`${optionLabel} must be a subcommand, as it is in a subcommand group`);
+    }
+
+    if (option.required) {
+      if (optionalSeen) error(`${optionLabel} is required but comes after an optional option`);
+    } else {
+      optionalSeen = true;
+    }
+
+    if (option.choices !== undefined && option.choices !== null) {
+      if (!CHOICE_OPTION_TYPES.includes(option.type)) {
+        error(`${optionLabel} has choices, but only string, integer and number options can`);
+      }
+      if (option.autocomplete && option.choices.length > 0) {
+        error(`${optionLabel} cannot have both choices and autocomplete`);
+      }
+      if (option.choices.length > COMMAND_LIMITS.CHOICES) {
+        error(`${optionLabel} has ${option.choices.length} choices; Discord allows ${COMMAND_LIMITS.CHOICES}`);
+      }
+      option.choices.forEach((choice, j) => {
+        if (typeof choice.name !== 'string' || choice.name.length < 1 || choice.name.length > COMMAND_LIMITS.CHOICE_LENGTH) {
+          error(`${optionLabel} choice #${j + 1} needs a name of 1-${COMMAND_LIMITS.CHOICE_LENGTH} characters`);
+        }
+        if (typeof choice.value === 'string' && choice.value.length > COMMAND_LIMITS.CHOICE_LENGTH) {
+          error(`${optionLabel} choice "${choice.name}" has a value longer than ${COMMAND_LIMITS.CHOICE_LENGTH} characters`);
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Check how many commands of a type a scope has against Discord's limit
+ * @param {number} count - Commands of the type
+ * @param {number} limit - Commands of the type Discord allows per scope
+ * @param {string} noun - What the commands are called in messages (e.g. 'slash commands')
+ * @param {Function} error - Records an error message
+ * @param {Function} warning - Records a warning message
+ */
+function lintCommandCount(count, limit, noun, error, warning) {
+  if (count > limit) {
+    error(`${count} ${noun}; Discord allows ${limit} per scope`);
+  } else if (limit > 1 && count >= limit * LIMIT_WARNING_RATIO) {
+    warning(`${count} of ${limit} ${noun} used; Discord allows ${limit} per scope`);
+  }
+}
+
+/**
+ * Check a command set against Discord's rules and limits
+ * Works on local definitions as well as on commands fetched from Discord; a set is treated as
+ * the commands of one scope when counting against the per-scope limits
+ * @param {Array} definitions - Command payloads
+ * @returns {LintIssue[]} Problems found; empty when the set is fine
+ */
+function lintCommandDefinitions(definitions) {
+  const issues = [];
+  const error = message => issues.push({ severity: 'error', message });
+  const warning = message => issues.push({ severity: 'warning', message });
+  const seen = new Set();
+
+  definitions.forEach((command, i) => {
+    const label = command && command.name ? `Command "${command.name}"` : `Command #${i + 1}`;
+
+    if (!command || typeof command !== 'object') {
+      error(`Definition #${i + 1} is not an object`);
+      return;
+    }
+    if (typeof command.name !== 'string' || command.name.length === 0) {
+      error(`${label} has no name`);
+      return;
+    }
+
+    const type = command.type || COMMAND_TYPES.CHAT_INPUT;
+    if (!Object.values(COMMAND_TYPES).includes(type)) {
+      error(`${label} has an unknown type ${type}`);
+    }
+
+    if (type === COMMAND_TYPES.CHAT_INPUT) {
+      if (!CHAT_INPUT_NAME_REGEX.test(command.name) || command.name !== command.name.toLowerCase()) {
+        error(`${label} must be 1-${COMMAND_LIMITS.NAME_LENGTH} lowercase letters, numbers, - or _`);
+      }
+      if (typeof command.description !== 'string' || command.description.length < 1 || command.description.length > COMMAND_LIMITS.DESCRIPTION_LENGTH) {
+        error(`${label} needs a description of 1-${COMMAND_LIMITS.DESCRIPTION_LENGTH} characters`);
+      }
+      lintOptions(command.options, label, 'command', error);
+
+      const characters = countCommandCharacters(command);
+      if (characters > COMMAND_LIMITS.TOTAL_CHARACTERS) {
+        error(`${label} has ${characters} characters in names, descriptions and choices; Discord allows ${COMMAND_LIMITS.TOTAL_CHARACTERS}`);
+      } else if (characters >= COMMAND_LIMITS.TOTAL_CHARACTERS * LIMIT_WARNING_RATIO) {
+        warning(`${label} uses ${characters} of ${COMMAND_LIMITS.TOTAL_CHARACTERS} characters in names, descriptions and choices`);
+      }
+    } else {
+      if (command.name.length > COMMAND_LIMITS.NAME_LENGTH) {
+        error(`${label} name is longer than ${COMMAND_LIMITS.NAME_LENGTH} characters`);
+      }
+      if (type !== COMMAND_TYPES.PRIMARY_ENTRY_POINT && command.description) {
+        error(`${label} is a context menu command and cannot have a description`);
+      }
+      if (Array.isArray(command.options) && command.options.length > 0) {
+        error(`${label} is not a slash command and cannot have options`);
+      }
+    }
+    lintLocalizations(command, label, type === COMMAND_TYPES.CHAT_INPUT, error);
+
+    const key = `${type}:${command.name}`;
+    if (seen.has(key)) {
+      error(`${label} is defined more than once`);
+    }
+    seen.add(key);
+  });
+
+  const countOf = type => definitions.filter(command => command && (command.type || COMMAND_TYPES.CHAT_INPUT) === type).length;
+  lintCommandCount(countOf(COMMAND_TYPES.CHAT_INPUT), COMMAND_LIMITS.CHAT_INPUT_COMMANDS, 'slash commands', error, warning);
+  lintCommandCount(countOf(COMMAND_TYPES.USER), COMMAND_LIMITS.CONTEXT_MENU_COMMANDS, 'user commands', error, warning);
+  lintCommandCount(countOf(COMMAND_TYPES.MESSAGE), COMMAND_LIMITS.CONTEXT_MENU_COMMANDS, 'message commands', error, warning);
+  lintCommandCount(countOf(COMMAND_TYPES.PRIMARY_ENTRY_POINT), COMMAND_LIMITS.ENTRY_POINT_COMMANDS, 'entry point commands', error, warning);
+
+  return issues;
+}
+
+/**
+ * Check command definitions for problems Discord would reject
+ * @param {Array} definitions - Command payloads
+ * @returns {string[]} Problems found; empty when the definitions are valid
+ */
+function validateCommandDefinitions(definitions) {
+  return lintCommandDefinitions(definitions)
+    .filter(issue => issue.severity === 'error')
+    .map(issue => issue.message);
+}
+
+/**
+ * Fields Discord returns for convenience that are not part of a command definition
+ */
+const DERIVED_FIELDS = ['name_localized', 'description_localized'];
+
+/**
+ * Fields that fall back to the application's settings when omitted, so they are only
+ * compared when the local definition sets them
+ */
+const OPTIONAL_COMPARE_FIELDS = ['contexts', 'integration_types'];
+
+/**
+ * Get the key that identifies a command within a scope (names are unique per type)
+ * @param {Object} command - Command object or payload
+ * @returns {string} Identity key
+ */
+function commandKey(command) {
+  return `${command.type || COMMAND_TYPES.CHAT_INPUT}:${command.name}`;
+}
+
+/**
+ * Drop values that are equivalent to Discord's defaults (null, false, empty arrays and objects)
+ * so a remote command and its local definition compare equal
+ * @param {*} value - Value to compact
+ * @returns {*} Compacted value, or undefined if nothing is left
+ */
+function compactValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(compactValue) : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const compacted = {};
+    for (const [key, entry] of Object.entries(value)) {
+      const next = compactValue(entry);
+      if (next !== undefined) compacted[key] = next;
+    }
+    return Object.keys(compacted).length > 0 ? compacted : undefined;
+  }
+  return value === null || value === false ? undefined : value;
+}
+
+/**
+ * Reduce a command to the fields that matter when comparing it with another
+ * @param {Object} command - Remote command or local definition
+ * @returns {Object} Comparable command
+ */
+function toComparableCommand(command) {
+  const payload = toCommandPayload(command);
+  DERIVED_FIELDS.forEach(field => delete payload[field]);
+  if (payload.type === COMMAND_TYPES.CHAT_INPUT) delete payload.type;
+  if (payload.dm_permission === true) delete payload.dm_permission;
+  return compactValue(payload) || {};
+}
+
+/**
+ * Recursively compare two values and collect field-level differences
+ * Arrays of named objects (options, choices) are matched by name so paths stay readable
+ * @param {*} before - Remote value
+ * @param {*} after - Local value
+ * @param {string} fieldPath - Path of the value being compared
+ * @param {Array} changes - Collected changes ({ field, before, after })
+ * @returns {Array} The changes array
+ */
+function diffValues(before, after, fieldPath, changes = []) {
+  const isNamedList = value => Array.isArray(value) && value.every(entry => entry && typeof entry === 'object' && 'name' in entry);
+
+  if (isNamedList(before) && isNamedList(after)) {
+    const beforeNames = before.map(entry => entry.name);
+    const afterNames = after.map(entry => entry.name);
+    const names = [...new Set([...beforeNames, ...afterNames])];
+
+    names.forEach(name => diffValues(
+      before.find(entry => entry.name === name),
+      after.find(entry => entry.name === name),
+      `${fieldPath}.${name}`,
+      changes
+    ));
+
+    const shared = beforeNames.filter(name => afterNames.includes(name));
+    if (shared.join() !== afterNames.filter(name => beforeNames.includes(name)).join()) {
+      changes.push({ field: `${fieldPath} (order)`, before: beforeNames, after: afterNames });
+    }
+    return changes;
+  }
+
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    keys.forEach(key => diffValues(before[key], after[key], fieldPath ? `${fieldPath}.${key}` : key, changes));
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ field: fieldPath, before, after });
+  }
+  return changes;
+}
+
+/**
+ * Compare remote commands with a local definition set
+ * @param {Array} remote - Commands as returned by Discord
+ * @param {Array} local - Local command definitions
+ * @returns {{added: Array, removed: Array, changed: Array, unchanged: Array}} Differences by command
+ */
+function diffCommandSets(remote, local) {
+  const remoteByKey = new Map(remote.map(cmd => [commandKey(cmd), cmd]));
+  const localByKey = new Map(local.map(cmd => [commandKey(cmd), cmd]));
+  const result = { added: [], removed: [], changed: [], unchanged: [] };
+
+  for (const [key, definition] of localByKey) {
+    const existing = remoteByKey.get(key);
+    const type = definition.type || COMMAND_TYPES.CHAT_INPUT;
+
+    if (!existing) {
+      result.added.push({ name: definition.name, type });
+      continue;
+    }
+
+    const before = toComparableCommand(existing);
+    const after = toComparableCommand(definition);
+    OPTIONAL_COMPARE_FIELDS
+      .filter(field => definition[field] === undefined)
+      .forEach(field => delete before[field]);
+
+    const changes = diffValues(before, after, '');
+    const entry = { name: definition.name, type, id: existing.id };
+    if (changes.length > 0) {
+      result.changed.push({ ...entry, changes });
+    } else {
+      result.unchanged.push(entry);
+    }
+  }
+
+  for (const [key, existing] of remoteByKey) {
+    if (!localByKey.has(key)) {
+      result.removed.push({ name: existing.name, type: existing.type || COMMAND_TYPES.CHAT_INPUT, id: existing.id });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format a value from a diff for the terminal
+ * @param {*} value - Value to format
+ * @returns {string} Short representation
+ */
+function formatDiffValue(value) {
+  if (value === undefined) return chalk.gray('(unset)');
+  const text = JSON.stringify(value);
+  return text.length > 60 ? text.slice(0, 57) + '...' : text;
+}
+
+/**
+ * Print a command set diff in the terminal
+ * @param {Object} diff - Result of diffCommandSets
+ */
+function printCommandDiff(diff) {
+  diff.added.forEach(cmd => {
+    console.log(chalk.green(`  + ${cmd.name.padEnd(20)}`) + chalk.gray(' new'));
+  });
+  diff.removed.forEach(cmd => {
+    console.log(chalk.red(`  - ${cmd.name.padEnd(20)}`) + chalk.gray(` removed (${cmd.id})`));
+  });
+  diff.changed.forEach(cmd => {
+    console.log(chalk.yellow(`  ~ ${cmd.name.padEnd(20)}`) + chalk.gray(` ${cmd.changes.length} changed fields (${cmd.id})`));
+    cmd.changes.forEach(change => {
+      console.log(`     └─ ${chalk.cyan(change.field)}: ${chalk.red(formatDiffValue(change.before))} → ${chalk.green(formatDiffValue(change.after))}`);
+    });
+  });
+
+  console.log();
+  console.log(chalk.cyan('Summary: ') +
+    chalk.green(`${diff.added.length} added`) + chalk.gray(', ') +
+    chalk.red(`${diff.removed.length} removed`) + chalk.gray(', ') +
+    chalk.yellow(`${diff.changed.length} changed`) + chalk.gray(', ') +
+    chalk.white(`${diff.unchanged.length} unchanged`));
+}
+
+/**
+ * Where the guilds for a multi-guild operation come from
+ * @typedef {Object} GuildSource
+ * @property {string[]} [ids] - Explicit guild IDs
+ * @property {string} [file] - File with one guild ID per line (or a JSON array)
+ * @property {boolean} [all] - Every guild the bot is a member of
+ */
+
+/**
+ * Read guild IDs from a file with one ID per line (# starts a comment) or a JSON array
+ * @param {string} filePath - File to read
+ * @returns {string[]} Guild IDs
+ */
+function readGuildIdFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read guild ID file ${filePath}: ${error.message}`);
+  }
+
+  const ids = content.trim().startsWith('[')
+    ? JSON.parse(content).map(String)
+    : content.split(/\r?\n/).map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+
+  const invalid = ids.filter(id => !isValidSnowflake(id));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid guild IDs in ${filePath}: ${invalid.join(', ')}`);
+  }
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Resolve a guild source to a list of guilds, with names where the bot can see them
+ * Explicit guild IDs do not need the bot's guild list, so names are looked up on a best-effort
+ * basis: tokens that cannot list guilds (e.g. client credentials) still work
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {GuildSource} source - Where the guilds come from
+ * @returns {Promise<Array<{id: string, name: string}>>} Guilds to work on
+ */
+async function resolveGuilds(discordClient, source) {
+  if (source.all) {
+    const botGuilds = await discordClient.getBotGuilds();
+    return botGuilds.map(({ id, name }) => ({ id, name }));
+  }
+
+  const ids = source.file ? readGuildIdFile(source.file) : source.ids || [];
+  let botGuilds = null;
+  try {
+    botGuilds = await discordClient.getBotGuilds({ reportErrors: false });
+  } catch (error) {
+    discordClient.emit('warning', `Could not look up guild names: ${error.message}`);
+  }
+
+  return ids.map(id => {
+    if (!botGuilds) return { id, name: '(unknown)' };
+    const guild = botGuilds.find(g => g.id === id);
+    return { id, name: guild ? guild.name : '(not a member)' };
+  });
+}
+
+/**
+ * Let the user choose several guilds
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @returns {Promise<GuildSource>} Chosen guilds
+ */
+async function promptGuildSource(discordClient) {
+  const profileGuildIds = discordClient.profile?.guildIds || [];
+  const choices = [
+    { name: 'Choose from the guilds the bot is in', value: 'pick' },
+    { name: 'Load guild IDs from a file', value: 'file' },
+    { name: 'All guilds the bot is in', value: 'all' }
+  ];
+  if (profileGuildIds.length > 0) {
+    choices.unshift({ name: `Default guilds of profile "${discordClient.profile.name}" (${profileGuildIds.length})`, value: 'profile' });
+  }
+
+  const { mode } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'mode',
+      message: 'Which guilds do you want to use?',
+      choices
+    }
+  ]);
+
+  if (mode === 'all') return { all: true };
+  if (mode === 'profile') return { ids: profileGuildIds };
+
+  if (mode === 'file') {
+    const { file } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'file',
+        message: 'Path to a file with one Guild ID per line:',
+        validate: input => fs.existsSync(input) || `${input} does not exist`
+      }
+    ]);
+    return { file };
+  }
+
+  const guilds = await discordClient.getBotGuilds();
+  const { ids } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'ids',
+      message: 'Select guilds (space to toggle, enter to confirm):',
+      choices: guilds.map(guild => ({ name: `${guild.name} ${chalk.gray(`(${guild.id})`)}`, value: guild.id })),
+      pageSize: 15
+    }
+  ]);
+  return { ids };
+}
+
+/**
+ * Print a per-guild report table
+ * @param {Array} rows - Entries with id, name, and either count or error, plus an optional result
+ */
+function printGuildReport(rows) {
+  console.log();
+  console.log(chalk.cyan('  GUILD ID             │ NAME                 │ COMMANDS │ RESULT'));
+  console.log(chalk.cyan('───────────────────────┼──────────────────────┼──────────┼─────────────────────'));
+
+  rows.forEach(row => {
+    const id = chalk.blue(row.id.padEnd(20));
+    const name = chalk.green((row.name || '').slice(0, 20).padEnd(20));
+    const count = row.error ? chalk.red('-'.padStart(8)) : chalk.white(String(row.count).padStart(8));
+    const result = row.error ? chalk.red(`✗ ${row.error}`) : (row.result || '');
+    console.log(`  ${id} │ ${name} │ ${count} │ ${result}`);
+  });
+  console.log();
+}
+
+/**
+ * Application command option types, as used in the "type" field of options
+ */
+const OPTION_TYPES = {
+  1: 'SUB_COMMAND',
+  2: 'SUB_COMMAND_GROUP',
+  3: 'STRING',
+  4: 'INTEGER',
+  5: 'BOOLEAN',
+  6: 'USER',
+  7: 'CHANNEL',
+  8: 'ROLE',
+  9: 'MENTIONABLE',
+  10: 'NUMBER',
+  11: 'ATTACHMENT'
+};
+
+/**
+ * Interaction context types, as used in the "contexts" field
+ */
+const INTERACTION_CONTEXTS = {
+  0: 'GUILD',
+  1: 'BOT_DM',
+  2: 'PRIVATE_CHANNEL'
+};
+
+/**
+ * Installation context types, as used in the "integration_types" field
+ */
+const INTEGRATION_TYPES = {
+  0: 'GUILD_INSTALL',
+  1: 'USER_INSTALL'
+};
+
+/**
+ * Get the name of a command type
+ * @param {number} [type] - Command type (defaults to CHAT_INPUT like Discord does)
+ * @returns {string} Type name, or the number if unknown
+ */
+function commandTypeName(type = COMMAND_TYPES.CHAT_INPUT) {
+  return Object.keys(COMMAND_TYPES).find(name => COMMAND_TYPES[name] === type) || String(type);
+}
+
+/**
+ * Describe a default_member_permissions bitfield
+ * @param {string|null} [bitfield] - Permission bitfield as returned by Discord
+ * @returns {string} Readable permission names
+ */
+function describeMemberPermissions(bitfield) {
+  if (bitfield === null || bitfield === undefined) return 'everyone';
+  if (bitfield === '0') return 'administrators only';
+
+  const bits = BigInt(bitfield);
+  const names = Object.keys(PermissionFlagsBits).filter(name => (bits & PermissionFlagsBits[name]) !== 0n);
+  return `${names.join(', ')} (${bitfield})`;
+}
+
+/**
+ * Describe a list of enum values, e.g. contexts or integration types
+ * @param {Array<number>|null} [values] - Values as returned by Discord
+ * @param {Object<number, string>} names - Names of the values
+ * @returns {string} Comma-separated names, or 'not set'
+ */
+function describeEnumList(values, names) {
+  if (!values) return chalk.gray('not set');
+  return values.map(value => names[value] || String(value)).join(', ');
+}
+
+/**
+ * Print the localizations of a name or description
+ * @param {string} label - What is localized (e.g. 'Name localizations')
+ * @param {Object<string, string>|null} [localizations] - Locale to text map
+ * @param {string} indent - Prefix for every line
+ */
+function printLocalizations(label, localizations, indent) {
+  const entries = Object.entries(localizations || {});
+  if (entries.length === 0) return;
+
+  console.log(`${indent}${chalk.yellow(label + ':')}`);
+  entries.forEach(([locale, text]) => console.log(`${indent}  ${chalk.cyan(locale.padEnd(6))} ${text}`));
+}
+
+/**
+ * Print options, subcommands and subcommand groups as a tree
+ * @param {Array} options - Command options
+ * @param {string} [prefix] - Tree prefix of the parent level
+ */
+function printOptionTree(options, prefix = '  ') {
+  options.forEach((option, i) => {
+    const last = i === options.length - 1;
+    const childPrefix = prefix + (last ? '   ' : '│  ');
+    const flags = [
+      option.required && chalk.red('required'),
+      option.autocomplete && chalk.magenta('autocomplete')
+    ].filter(Boolean);
+
+    console.log(`${prefix}${last ? '└─' : '├─'} ${chalk.green(option.name)} ${chalk.blue(OPTION_TYPES[option.type] || String(option.type))}${flags.length ? ' ' + flags.join(' ') : ''}`);
+    console.log(`${childPrefix}${chalk.gray(option.description || '(no description)')}`);
+
+    const limits = [
+      option.min_value !== undefined && `min ${option.min_value}`,
+      option.max_value !== undefined && `max ${option.max_value}`,
+      option.min_length !== undefined && `min length ${option.min_length}`,
+      option.max_length !== undefined && `max length ${option.max_length}`
+    ].filter(Boolean);
+    if (limits.length) console.log(`${childPrefix}${chalk.yellow('Limits:')} ${limits.join(', ')}`);
+    if (option.channel_types) console.log(`${childPrefix}${chalk.yellow('Channel types:')} ${option.channel_types.join(', ')}`);
+
+    if (option.choices?.length) {
+      console.log(`${childPrefix}${chalk.yellow('Choices:')}`);
+      option.choices.forEach(choice => {
+        console.log(`${childPrefix}  • ${choice.name} ${chalk.gray('=')} ${chalk.cyan(JSON.stringify(choice.value))}`);
+        printLocalizations('Name localizations', choice.name_localizations, childPrefix + '    ');
+      });
+    }
+
+    printLocalizations('Name localizations', option.name_localizations, childPrefix);
+    printLocalizations('Description localizations', option.description_localizations, childPrefix);
+
+    if (option.options?.length) printOptionTree(option.options, childPrefix);
+  });
+}
+
+/**
+ * Print everything Discord stored for a command
+ * @param {Object} command - Command object as returned by Discord
+ */
+function printCommandDetails(command) {
+  const field = (label, value) => console.log(`  ${chalk.yellow(label.padEnd(27))} ${value}`);
+  const prefix = (command.type || COMMAND_TYPES.CHAT_INPUT) === COMMAND_TYPES.CHAT_INPUT ? '/' : '';
+
+  console.log();
+  console.log(chalk.bgBlue.white(` ${prefix}${command.name} `) + ' ' + chalk.cyan(commandTypeName(command.type)));
+  console.log();
+  field('ID:', chalk.blue(command.id));
+  field('Version:', chalk.blue(command.version));
+  if (command.guild_id) field('Guild ID:', chalk.blue(command.guild_id));
+  field('Description:', command.description || chalk.gray('(none)'));
+  field('Default member permissions:', describeMemberPermissions(command.default_member_permissions));
+  field('Contexts:', describeEnumList(command.contexts, INTERACTION_CONTEXTS));
+  field('Integration types:', describeEnumList(command.integration_types, INTEGRATION_TYPES));
+  field('NSFW:', command.nsfw ? chalk.red('yes') : 'no');
+  if (command.handler !== undefined) field('Entry point handler:', String(command.handler));
+
+  printLocalizations('Name localizations', command.name_localizations, '  ');
+  printLocalizations('Description localizations', command.description_localizations, '  ');
+
+  console.log();
+  if (command.options?.length) {
+    console.log(`  ${chalk.yellow('Options:')}`);
+    printOptionTree(command.options);
+  } else {
+    console.log(chalk.gray('  └─ This command has no options.'));
+  }
+  console.log();
+}
+
+/**
+ * Let the user pick one command to inspect
+ * @param {Array} commands - List of command objects
+ * @returns {Promise<Object>} Chosen command
+ */
+async function promptInspectCommand(commands) {
+  const { picked } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'picked',
+      message: 'Select a command to inspect:',
+      choices: commands.map(cmd => ({ name: `${cmd.name} ${chalk.gray(`(${cmd.id})`)}`, value: cmd.id })),
+      pageSize: 15
+    }
+  ]);
+
+  return commands.find(cmd => cmd.id === picked);
+}
+
+/**
+ * Default audit log file, relative to the working directory
+ */
+const DEFAULT_AUDIT_LOG = 'audit-log.jsonl';
+
+/**
+ * Actions recorded in the audit log
+ */
+const AUDIT_ACTIONS = ['delete', 'create', 'bulk_overwrite', 'reset_permissions'];
+
+/**
+ * Resolve the audit log file
+ * @param {Object} [options] - Options that may carry an auditLog path
+ * @returns {string} Audit log file
+ */
+function getAuditLogPath(options = {}) {
+  return options.auditLog || process.env.AUDIT_LOG || DEFAULT_AUDIT_LOG;
+}
+
+/**
+ * Read all entries of an audit log
+ * @param {string} filePath - Audit log file
+ * @returns {{entries: Array, invalid: number}} Entries (oldest first) and the number of unreadable lines
+ */
+function readAuditLog(filePath) {
+  if (!fs.existsSync(filePath)) return { entries: [], invalid: 0 };
+
+  const entries = [];
+  let invalid = 0;
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      invalid++;
+    }
+  }
+  return { entries, invalid };
+}
+
+/**
+ * Criteria for browsing the audit log
+ * @typedef {Object} AuditFilter
+ * @property {string} [action] - Only entries of this action (see AUDIT_ACTIONS)
+ * @property {string} [scope] - Only entries for 'global' or this Guild ID
+ * @property {string} [search] - Only entries whose command name or ID contains this text
+ * @property {boolean} [errors] - Only failed requests
+ * @property {number} [limit] - Only the most recent entries
+ */
+
+/**
+ * Filter audit log entries
+ * @param {Array} entries - Audit log entries, oldest first
+ * @param {AuditFilter} filter - Filter criteria
+ * @returns {Array} Matching entries, newest first
+ */
+function filterAuditEntries(entries, filter = {}) {
+  const search = filter.search?.toLowerCase();
+  const matches = entries.filter(entry =>
+    (!filter.action || entry.action === filter.action) &&
+    (!filter.scope || entry.scope === filter.scope) &&
+    (!filter.errors || entry.result === 'error') &&
+    (!search || [entry.command?.name, entry.command?.id].some(value => value?.toLowerCase().includes(search)))
+  );
+
+  return matches.reverse().slice(0, filter.limit || matches.length);
+}
+
+/**
+ * Describe the command of an audit log entry
+ * @param {Object} entry - Audit log entry
+ * @returns {string} Command name and/or ID, or a count for bulk overwrites
+ */
+function describeAuditCommand(entry) {
+  if (entry.action === 'bulk_overwrite') return `${entry.payload?.length ?? '?'} commands`;
+  return entry.command?.name || entry.command?.id || '-';
+}
+
+/**
+ * Print audit log entries as a table
+ * @param {Array} entries - Audit log entries
+ */
+function printAuditTable(entries) {
+  console.log();
+  console.log(chalk.cyan('  TIME                │ ACTION            │ SCOPE                │ COMMAND              │ RESULT'));
+  console.log(chalk.cyan('──────────────────────┼───────────────────┼──────────────────────┼──────────────────────┼────────'));
+
+  entries.forEach(entry => {
+    const time = chalk.white(entry.timestamp.replace('T', ' ').slice(0, 19).padEnd(19));
+    const action = chalk.yellow(entry.action.padEnd(17));
+    const scope = chalk.blue(String(entry.scope).padEnd(20));
+    const command = chalk.green(describeAuditCommand(entry).slice(0, 20).padEnd(20));
+    const result = entry.result === 'error'
+      ? chalk.red(`✗ ${entry.error?.status || 'error'}`)
+      : chalk.green('✓');
+    console.log(`  ${time} │ ${action} │ ${scope} │ ${command} │ ${result}`);
+  });
+  console.log();
+}
+
+/**
+ * Default directory for cleanup session files, relative to the working directory
+ */
+const DEFAULT_SESSION_DIR = 'sessions';
+
+/**
+ * Progress of a cleanup across several guilds, saved after every deletion so it can be resumed
+ * @typedef {Object} CleanupSession
+ * @property {string} file - Session file
+ * @property {string} createdAt - ISO timestamp of the original run
+ * @property {string} applicationId - Application the commands belong to
+ * @property {string|null} profile - Bot profile of the original run
+ * @property {Array<{id: string, name: string, count: number, targets: Array, done: string[]}>} guilds
+ *   Commands to delete per guild, and the IDs already deleted
+ */
+
+/**
+ * Resolve the session directory
+ * @param {Object} [options] - Options that may carry a sessionDir
+ * @returns {string} Session directory
+ */
+function getSessionDir(options = {}) {
+  return options.sessionDir || process.env.SESSION_DIR || DEFAULT_SESSION_DIR;
+}
+
+/**
+ * Write a session to its file
+ * @param {CleanupSession} session - Session to save
+ */
+function saveSession(session) {
+  const { file, ...data } = session;
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Start a session for a confirmed multi-guild cleanup
+ * @param {Array} plans - Guilds with their deletion targets
+ * @param {Object} meta - Session metadata
+ * @param {string} meta.applicationId - Application the commands belong to
+ * @param {string|null} meta.profile - Active bot profile name
+ * @param {string} meta.sessionDir - Directory for the session file
+ * @returns {CleanupSession} The saved session
+ */
+function createSession(plans, { applicationId, profile, sessionDir }) {
+  const createdAt = new Date();
+  fs.mkdirSync(sessionDir, { recursive: true });
+
+  const session = {
+    file: path.join(sessionDir, `cleanup-${createdAt.toISOString().replace(/[:.]/g, '-')}.json`),
+    createdAt: createdAt.toISOString(),
+    applicationId,
+    profile,
+    guilds: plans.map(plan => ({ id: plan.id, name: plan.name, count: plan.count, targets: plan.targets, done: [] }))
+  };
+  saveSession(session);
+  return session;
+}
+
+/**
+ * Read and validate a session file
+ * @param {string} filePath - Session file
+ * @returns {CleanupSession} The session
+ */
+function readSession(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read session ${filePath}: ${error.message}`);
+  }
+
+  if (!data || !Array.isArray(data.guilds) || !data.guilds.every(guild => Array.isArray(guild.targets) && Array.isArray(guild.done))) {
+    throw new Error(`${filePath} is not a cleanup session`);
+  }
+  return { ...data, file: filePath };
+}
+
+/**
+ * List session files in a directory, newest first
+ * @param {string} sessionDir - Session directory
+ * @returns {string[]} Paths of session files
+ */
+function listSessionFiles(sessionDir) {
+  if (!fs.existsSync(sessionDir)) return [];
+
+  return fs.readdirSync(sessionDir)
+    .filter(file => file.startsWith('cleanup-') && file.endsWith('.json'))
+    .map(file => path.join(sessionDir, file))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+}
+
+/**
+ * Record a deleted command in the session file
+ * @param {CleanupSession} session - Running session
+ * @param {string} guildId - Guild the command was deleted from
+ * @param {string} commandId - Deleted command
+ */
+function markSessionDone(session, guildId, commandId) {
+  session.guilds.find(guild => guild.id === guildId).done.push(commandId);
+  saveSession(session);
+}
+
+/**
+ * Build cleanup plans for the commands a session has not deleted yet
+ * @param {CleanupSession} session - Session to resume
+ * @returns {Array} Plans in the shape used by deleteMultiGuildCommands
+ */
+function plansFromSession(session) {
+  return session.guilds.map(guild => {
+    const targets = guild.targets.filter(cmd => !guild.done.includes(cmd.id));
+    return {
+      id: guild.id,
+      name: guild.name,
+      count: guild.count,
+      targets,
+      result: chalk.yellow(`${targets.length} left to delete`)
+    };
+  });
+}
+
+/**
+ * Remove a session once nothing is left to delete, or tell the user how to resume it
+ * @param {CleanupSession} session - Finished run's session
+ */
+function closeSession(session) {
+  const remaining = session.guilds.reduce((sum, guild) => sum + guild.targets.length - guild.done.length, 0);
+  if (remaining === 0) {
+    fs.rmSync(session.file, { force: true });
+    return;
+  }
+
+  console.log(chalk.gray(`└─ ${remaining} commands are left; resume with: resume ${session.file}`));
+}
+
+/**
+ * Permission overwrite target types, as used in the "type" field
+ */
+const PERMISSION_TYPES = {
+  1: 'ROLE',
+  2: 'USER',
+  3: 'CHANNEL'
+};
+
+/**
+ * Describe the target of a permission overwrite, resolving Discord's special IDs
+ * @param {Object} overwrite - Permission overwrite ({ id, type, permission })
+ * @param {string} guildId - The guild the overwrite belongs to
+ * @returns {string} Readable target
+ */
+function describePermissionTarget(overwrite, guildId) {
+  if (overwrite.type === 1 && overwrite.id === guildId) return '@everyone';
+  if (overwrite.type === 3 && overwrite.id === String(BigInt(guildId) - 1n)) return 'all channels';
+  return overwrite.id;
+}
+
+/**
+ * Attach command names to guild permission entries
+ * @param {Array} entries - Guild application command permission objects
+ * @param {Array} commands - Known commands (guild and global) to resolve names from
+ * @param {string} applicationId - Application ID, used for application-wide entries
+ * @returns {Array} Entries with an added commandName
+ */
+function nameCommandPermissions(entries, commands, applicationId) {
+  return entries.map(entry => {
+    const command = commands.find(cmd => cmd.id === entry.id);
+    const commandName = entry.id === applicationId
+      ? '(all commands)'
+      : command ? command.name : '(unknown command)';
+    return { ...entry, commandName };
+  });
+}
+
+/**
+ * Print permission overwrites in the command table style
+ * @param {Array} entries - Named guild application command permission objects
+ * @param {string} guildId - The guild the overwrites belong to
+ */
+function printPermissionTable(entries, guildId) {
+  console.log();
+  console.log(chalk.cyan('  # │ ') + chalk.cyan('COMMAND') + ' '.repeat(12) + chalk.cyan('│ TARGET               │ TYPE    │ ALLOWED'));
+  console.log(chalk.cyan('────┼──────────────────────┼──────────────────────┼─────────┼────────'));
+
+  entries.forEach((entry, i) => {
+    const index = chalk.white(`${i + 1}`.padStart(3));
+    const name = chalk.green(entry.commandName.padEnd(20));
+    console.log(`  ${index} │ ${name} │ ${chalk.gray(`${entry.permissions.length} overwrites`.padEnd(20))} │ ${' '.repeat(7)} │`);
+
+    entry.permissions.forEach(overwrite => {
+      const target = chalk.blue(describePermissionTarget(overwrite, guildId).padEnd(20));
+      const type = chalk.white((PERMISSION_TYPES[overwrite.type] || String(overwrite.type)).padEnd(7));
+      const allowed = overwrite.permission ? chalk.green('✓ yes') : chalk.red('✗ no');
+      console.log(`     │ ${' '.repeat(20)} │ ${target} │ ${type} │ ${allowed}`);
+    });
+  });
+  console.log();
+}
+
+/**
+ * Fetch the permission overwrites of a guild with command names resolved
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {string} guildId - The ID of the guild
+ * @returns {Promise<Array>} Named guild application command permission objects
+ */
+async function fetchNamedGuildPermissions(discordClient, guildId) {
+  const entries = await discordClient.getGuildCommandPermissions(guildId);
+  if (entries.length === 0) return [];
+
+  const [guildCommands, globalCommands] = await Promise.all([
+    discordClient.getGuildCommands(guildId),
+    discordClient.getGlobalCommands()
+  ]);
+  return nameCommandPermissions(entries, [...guildCommands, ...globalCommands], await discordClient.getApplicationId());
+}
+
+/**
+ * Write permission overwrites of a guild to a JSON file
+ * @param {Array} entries - Named guild application command permission objects
+ * @param {string} guildId - The guild the overwrites belong to
+ * @param {Object} meta - Export metadata
+ * @param {string} meta.applicationId - Application the overwrites belong to
+ * @param {string} [meta.file] - File to write; defaults to a timestamped file in the backup directory
+ * @param {string} [meta.backupDir] - Directory for the default file
+ * @returns {string} Path of the written file
+ */
+function writePermissionExport(entries, guildId, { applicationId, file, backupDir }) {
+  const createdAt = new Date();
+  const filePath = file || path.join(backupDir, `permissions-${guildId}-${createdAt.toISOString().replace(/[:.]/g, '-')}.json`);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    createdAt: createdAt.toISOString(),
+    applicationId,
+    guildId,
+    permissions: entries
+  }, null, 2) + '\n');
+  return filePath;
+}
+
+/**
+ * Reset permission overwrites of a guild, one command at a time
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {string} guildId - The ID of the guild
+ * @param {Array} entries - Named guild application command permission objects to reset
+ * @returns {Promise<boolean>} True if every entry was reset
+ */
+async function resetPermissionEntries(discordClient, guildId, entries) {
+  if (!discordClient.permissionsToken && !discordClient.dryRun) {
+    console.error(chalk.bgRed.white(' ERROR ') + ' ' + chalk.red('Cannot reset command permissions with the current credentials'));
+    console.error(chalk.yellow('  └─ Discord only accepts permission changes with a user token that has the ') + chalk.cyan('applications.commands.permissions.update') + chalk.yellow(' scope'));
+    console.error(chalk.yellow('  └─ Set ') + chalk.cyan('DISCORD_PERMISSIONS_TOKEN') + chalk.yellow(' or a profile "permissionsTokenEnv"/"permissionsTokenFile"'));
+    return false;
+  }
+
+  const { done: resetCount } = await runCommandsWithProgress(
+    entries.map(entry => ({ id: entry.id, name: entry.commandName })),
+    entry => discordClient.resetGuildCommandPermissions(guildId, entry.id),
+    'reset',
+    { discordClient }
+  );
+  printOperationSummary(resetCount, entries.length, 'permission overwrites of', 'reset', discordClient.dryRun);
+  return resetCount === entries.length;
+}
+
+/**
+ * Offer to reset the permission overwrites still left in a guild after a cleanup
+ * Overwrites of deleted guild commands go away with them; those of global commands
+ * and application-wide overwrites stay behind
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {string} guildId - The ID of the guild
+ * @param {Object} options - Cleanup options (interactive, resetPermissions)
+ * @returns {Promise<boolean>} True if nothing failed
+ */
+async function cleanUpPermissionOverwrites(discordClient, guildId, options) {
+  const { interactive = true, resetPermissions = false } = options;
+  const entries = await fetchNamedGuildPermissions(discordClient, guildId);
+
+  console.log();
+  if (entries.length === 0) {
+    console.log(chalk.gray('└─ No command permission overwrites left in this guild.'));
+    return true;
+  }
+
+  console.log(chalk.yellow(`⚠️  ${entries.length} commands still have permission overwrites in this guild:`));
+  printPermissionTable(entries, guildId);
+
+  const confirm = resetPermissions || (interactive && await promptConfirm('⚠️  Reset these permission overwrites too?'));
+  if (!confirm) return true;
+
+  return resetPermissionEntries(discordClient, guildId, entries);
+}
+
+/*
+ * Library API
+ * These functions never prompt or print; they return structured results and report progress
+ * through the client's events. The terminal UI below is built on them, and scripts can
+ * require() this file and call them directly.
+ */
+
+/**
+ * Failed command of a batch, with the classified error when one was recorded
+ * @typedef {Object} CommandFailure
+ * @property {Object} command - The command (or payload) that failed
+ * @property {?DiscordRequestError} error - Why it failed
+ */
+
+/**
+ * Build the target of a library call from its guildId option
+ * @param {string} [guildId] - Guild ID; global commands when omitted
+ * @returns {CommandTarget} Command target
+ */
+function targetFor(guildId) {
+  return guildId ? { scope: 'guild', guildId } : { scope: 'global' };
+}
+
+/**
+ * Delete one command of a target
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {CommandTarget} target - Where the command is registered
+ * @param {Object} command - Command to delete
+ * @returns {Promise<boolean>} True if successful, False otherwise
+ */
+function deleteTargetCommand(discordClient, target, command) {
+  return target.scope === 'guild'
+    ? discordClient.deleteGuildCommand(target.guildId, command.id, command)
+    : discordClient.deleteGlobalCommand(command.id, command);
+}
+
+/**
+ * Run a request for every command with a bounded number in flight, emitting a progress event after each
+ * Requests sharing a rate-limit bucket are still sent one after another by the REST client's
+ * per-bucket queue, so a higher concurrency never outruns Discord's limits
+ * @param {DiscordAPI} discordClient - The Discord API client; its commandErrors explain failures
+ * @param {Array} commands - List of command objects (or payloads) to process
+ * @param {Function} operation - Processes a single command, resolving to a truthy value on success
+ * @param {Object} [options] - Run options
+ * @param {string} [options.action='delete'] - Name of the operation, passed on in progress events
+ * @param {number} [options.concurrency=1] - Maximum number of operations running at once
+ * @returns {Promise<{succeeded: Array, failed: CommandFailure[]}>} Processed and failed commands
+ */
+async function processCommands(discordClient, commands, operation, options = {}) {
+  const { action = 'delete', concurrency = 1 } = options;
+  const succeeded = [];
+  const failed = [];
+  let nextIndex = 0;
+
+  // Each worker takes the next command until none are left
+  const worker = async () => {
+    while (nextIndex < commands.length) {
+      const command = commands[nextIndex++];
+      const ok = Boolean(await operation(command));
+      const error = ok ? null : discordClient.commandErrors.get(command.id) || null;
+
+      if (ok) succeeded.push(command);
+      else failed.push({ command, error });
+      discordClient.emit('progress', {
+        action,
+        command,
+        ok,
+        error,
+        done: succeeded.length,
+        failed: failed.length,
+        total: commands.length
+      });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, commands.length) }, worker));
+  return { succeeded, failed };
+}
+
+/**
+ * Back up the commands of a target before they are changed; the backup also becomes the newest
+ * entry of the scope's snapshot history
+ * Nothing is written for dry runs or when options.backup is false
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Array} commands - Commands currently registered for the target
+ * @param {CommandTarget} target - Target about to be changed
+ * @param {Object} [options] - Operation options (backup, backupDir)
+ * @param {string} [reason='change'] - Change about to be made, recorded in the backup
+ * @returns {Promise<string|null>} Path of the backup, or null if none was written
+ */
+async function saveBackupBeforeChange(discordClient, commands, target, options = {}, reason = 'change') {
+  if (options.backup === false || discordClient.dryRun) return null;
+
+  const applicationId = await discordClient.getApplicationId();
+  try {
+    return writeBackup(commands, target, { applicationId, backupDir: getBackupDir(options), reason });
+  } catch (error) {
+    throw new Error(`Failed to write backup, nothing was changed: ${error.message}`);
+  }
+}
+
+/**
+ * List the commands of a scope
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.guildId] - Guild to list; global commands when omitted
+ * @param {number[]} [options.types] - Only commands of these types
+ * @param {CommandSelection} [options.selection] - Only commands matching this selection
+ * @returns {Promise<{target: CommandTarget, commands: Array}>} The target and its (filtered) commands
+ */
+async function listCommands(discordClient, options = {}) {
+  const target = targetFor(options.guildId);
+  const selection = { ...options.selection, types: options.types || options.selection?.types || [] };
+  const commands = await fetchTargetCommands(discordClient, target);
+  return { target, commands: filterCommands(commands, selection) };
+}
+
+/**
+ * Result of deleteCommands()
+ * @typedef {Object} DeleteResult
+ * @property {CommandTarget} target - Where commands were deleted
+ * @property {Array} deleted - Commands that were deleted
+ * @property {CommandFailure[]} failed - Commands that could not be deleted
+ * @property {Array} skipped - Entry point commands that matched but were kept
+ * @property {string|null} backupFile - Backup written before deleting, if any
+ * @property {boolean} dryRun - Whether the deletions were only simulated
+ */
+
+/**
+ * Delete all commands of a scope, or the ones matching a selection
+ * The Activity entry point is kept unless it was selected by name or ID, or includeEntryPoint is set
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Deletion options
+ * @param {string} [options.guildId] - Guild to delete in; global commands when omitted
+ * @param {CommandSelection} [options.selection] - Only delete commands matching this selection
+ * @param {boolean} [options.includeEntryPoint=false] - Allow deleting the entry point command
+ * @param {number} [options.concurrency] - Deletions in flight at once (defaults to DEFAULT_CONCURRENCY)
+ * @param {number} [options.retries=0] - Rounds of retrying failed deletions, with backoff
+ * @param {boolean} [options.backup=true] - Write a backup of the fetched commands before deleting
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<DeleteResult>} What was deleted, what failed and what was kept
+ */
+async function deleteCommands(discordClient, options = {}) {
+  const { selection = {}, includeEntryPoint = false, concurrency = DEFAULT_CONCURRENCY, retries = 0 } = options;
+  const target = targetFor(options.guildId);
+  const commands = await fetchTargetCommands(discordClient, target);
+  const selected = hasSelection(selection) ? filterCommands(commands, selection) : commands;
+  const targets = selected.filter(cmd => !isProtectedEntryPoint(cmd, selection, includeEntryPoint));
+  const result = {
+    target,
+    deleted: [],
+    failed: [],
+    skipped: selected.filter(cmd => !targets.includes(cmd)),
+    backupFile: null,
+    dryRun: discordClient.dryRun
+  };
+  if (targets.length === 0) return result;
+
+  result.backupFile = await saveBackupBeforeChange(discordClient, commands, target, options, 'delete');
+
+  const remove = cmd => deleteTargetCommand(discordClient, target, cmd);
+  let pending = targets;
+  for (let round = 0; pending.length > 0; round++) {
+    if (round > 0) await discordClient.sleep(RETRY_BASE_DELAY_MS * 2 ** (round - 1));
+
+    const { succeeded, failed } = await processCommands(discordClient, pending, remove, { action: 'delete', concurrency });
+    result.deleted.push(...succeeded);
+    result.failed = [...result.failed.filter(failure => !isRetryableFailure(failure)), ...failed];
+    pending = round < retries ? result.failed.filter(isRetryableFailure).map(failure => failure.command) : [];
+  }
+
+  return result;
+}
+
+/**
+ * Work out what syncing a scope to a definition set changes, matching commands by type and name
+ * @param {Array} remote - Commands registered now
+ * @param {Array} definitions - Command definitions
+ * @returns {{added: Array, overwritten: Array, removed: Array}} New definitions, definitions
+ *   replacing a registered command, and registered commands that will be removed
+ */
+function planSync(remote, definitions) {
+  const remoteKeys = new Set(remote.map(commandKey));
+  const localKeys = new Set(definitions.map(commandKey));
+  return {
+    added: definitions.filter(cmd => !remoteKeys.has(commandKey(cmd))),
+    overwritten: definitions.filter(cmd => remoteKeys.has(commandKey(cmd))),
+    removed: remote.filter(cmd => !localKeys.has(commandKey(cmd)))
+  };
+}
+
+/**
+ * Result of syncCommandSet()
+ * @typedef {Object} SyncResult
+ * @property {CommandTarget} target - Scope that was synced
+ * @property {Array} added - Definitions that were not registered before
+ * @property {Array} overwritten - Definitions that replaced a registered command
+ * @property {Array} removed - Commands that were removed because no definition has their type and name
+ * @property {Array} commands - The commands as registered by Discord afterwards
+ * @property {string|null} backupFile - Backup written before overwriting, if any
+ * @property {boolean} dryRun - Whether the overwrite was only simulated
+ */
+
+/**
+ * Make the commands of a scope match a definition set with one bulk overwrite
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} options - Sync options
+ * @param {string} [options.guildId] - Guild to sync; global commands when omitted
+ * @param {Array} [options.definitions] - Command definitions (plain payloads, builders or { data } modules)
+ * @param {string} [options.source] - Definitions file or directory, read when definitions are not given
+ * @param {Array} [options.current] - Commands registered now, if already fetched
+ * @param {boolean} [options.backup=true] - Back up the current commands before overwriting
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<SyncResult>} What changed
+ */
+async function syncCommandSet(discordClient, options) {
+  const target = targetFor(options.guildId);
+  const definitions = options.definitions
+    ? options.definitions.map(normalizeDefinition)
+    : loadCommandDefinitions(options.source);
+
+  const problems = validateCommandDefinitions(definitions);
+  if (problems.length > 0) {
+    const error = new Error(`Found ${problems.length} problems in the command definitions: ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  if (definitions.length === 0) {
+    throw new Error('No command definitions to sync; use deleteCommands() to remove every command');
+  }
+
+  const current = options.current || await fetchTargetCommands(discordClient, target);
+  const backupFile = await saveBackupBeforeChange(discordClient, current, target, options, 'sync');
+  const commands = target.scope === 'guild'
+    ? await discordClient.bulkOverwriteGuildCommands(target.guildId, definitions)
+    : await discordClient.bulkOverwriteGlobalCommands(definitions);
+
+  return { target, ...planSync(current, definitions), commands, backupFile, dryRun: discordClient.dryRun };
+}
+
+/**
+ * Write a backup of the commands of a scope
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Backup options
+ * @param {string} [options.guildId] - Guild to back up; global commands when omitted
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<{target: CommandTarget, commands: Array, file: string}>} The backed up commands and the file
+ */
+async function backupCommandSet(discordClient, options = {}) {
+  const target = targetFor(options.guildId);
+  const commands = await fetchTargetCommands(discordClient, target);
+  const applicationId = await discordClient.getApplicationId();
+  const file = writeBackup(commands, target, { applicationId, backupDir: getBackupDir(options) });
+  return { target, commands, file };
+}
+
+/**
+ * Add the current commands of a scope to its snapshot history by backing them up
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Snapshot options
+ * @param {string} [options.guildId] - Guild to snapshot; global commands when omitted
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<CommandSnapshot>} The new snapshot
+ */
+async function takeSnapshot(discordClient, options = {}) {
+  const { file } = await backupCommandSet(discordClient, options);
+  return (await listSnapshots(discordClient, options)).find(snapshot => snapshot.file === file);
+}
+
+/**
+ * List the snapshot history of a scope, newest first: the backups of the scope and application
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - History options
+ * @param {string} [options.guildId] - Guild whose history to list; global commands when omitted
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<CommandSnapshot[]>} Snapshots, newest first
+ */
+async function listSnapshots(discordClient, options = {}) {
+  const applicationId = await discordClient.getApplicationId();
+  return readSnapshotHistory(getBackupDir(options), applicationId, targetFor(options.guildId));
+}
+
+/**
+ * Look up one snapshot in the history of a scope
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} options - Lookup options
+ * @param {string|number} options.ref - Version number, 'latest', or a date (the newest snapshot at or before it)
+ * @param {string} [options.guildId] - Guild whose history to search; global commands when omitted
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<CommandSnapshot>} The snapshot
+ */
+async function getSnapshot(discordClient, options) {
+  return findSnapshot(await listSnapshots(discordClient, options), options.ref);
+}
+
+/**
+ * Compare two snapshots of a scope, or a snapshot with the commands registered now
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} options - Diff options
+ * @param {string|number} options.from - Older snapshot (see getSnapshot() for the accepted refs)
+ * @param {string|number} [options.to] - Newer snapshot; the live commands when omitted
+ * @param {string} [options.guildId] - Guild whose history to use; global commands when omitted
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<{from: CommandSnapshot, to: ?CommandSnapshot, added: Array, removed: Array, changed: Array, unchanged: Array}>}
+ *   The compared snapshots (to is null for the live commands) and what changed from one to the other
+ */
+async function diffSnapshots(discordClient, options) {
+  const history = await listSnapshots(discordClient, options);
+  const from = findSnapshot(history, options.from);
+  const to = options.to === undefined || options.to === null ? null : findSnapshot(history, options.to);
+  const commands = to ? to.commands : await fetchTargetCommands(discordClient, targetFor(options.guildId));
+
+  return { from, to, ...diffCommandSets(from.commands, commands) };
+}
+
+/**
+ * Put the commands of a scope back to how they were in a snapshot
+ * The current commands are snapshotted (and backed up) first, so a rollback can itself be undone
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} options - Rollback options
+ * @param {string|number} options.ref - Snapshot to roll back to (see getSnapshot() for the accepted refs)
+ * @param {string} [options.guildId] - Guild to roll back; global commands when omitted
+ * @param {Array} [options.current] - Commands registered now, if already fetched
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @param {boolean} [options.backup=true] - Back up the current commands first
+ * @returns {Promise<{target: CommandTarget, snapshot: CommandSnapshot, added: Array, removed: Array, changed: Array, unchanged: Array, commands: Array, backupFile: ?string, dryRun: boolean}>}
+ *   What the rollback changed and the commands registered afterwards
+ */
+async function rollbackToSnapshot(discordClient, options) {
+  const target = targetFor(options.guildId);
+  const snapshot = await getSnapshot(discordClient, options);
+  const current = options.current || await fetchTargetCommands(discordClient, target);
+  const payloads = snapshot.commands.map(toCommandPayload);
+
+  const backupFile = await saveBackupBeforeChange(discordClient, current, target, options, 'rollback');
+  const commands = target.scope === 'guild'
+    ? await discordClient.bulkOverwriteGuildCommands(target.guildId, payloads)
+    : await discordClient.bulkOverwriteGlobalCommands(payloads);
+
+  return { target, snapshot, ...diffCommandSets(current, payloads), commands, backupFile, dryRun: discordClient.dryRun };
+}
+
+/**
+ * Problem found by analyzeCommandScopes()
+ * @typedef {Object} AnalysisFinding
+ * @property {string} kind - 'duplicate' (guild copy identical to a global command), 'collision'
+ *   (guild command with the name and type of a different global command) or 'orphan' (not in
+ *   the local definitions)
+ * @property {CommandTarget} target - Where the flagged command is registered
+ * @property {Object} command - The flagged command
+ * @property {Object} [global] - The global command a duplicate or collision shows up next to
+ * @property {Array} [changes] - Fields in which a collision differs from the global command
+ */
+
+/**
+ * Result of analyzeCommandScopes()
+ * @typedef {Object} CommandAnalysis
+ * @property {Array} global - Global commands
+ * @property {Array<{guildId: string, commands: Array, error: ?Error}>} guilds - Commands per guild,
+ *   or the error that kept them from being fetched
+ * @property {AnalysisFinding[]} findings - Flagged commands, one finding per command
+ */
+
+/**
+ * Find guild commands that show up twice in Discord's picker because a global command has the
+ * same name and type, and, given local definitions, registered commands that are not defined
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Analysis options
+ * @param {string[]} [options.guildIds] - Guilds to check against the global commands
+ * @param {Array} [options.definitions] - Command definitions; orphans are only flagged when these
+ *   or options.source are given
+ * @param {string} [options.source] - Definitions file or directory, read when definitions are not given
+ * @returns {Promise<CommandAnalysis>} Fetched commands and findings
+ */
+async function analyzeCommandScopes(discordClient, options = {}) {
+  const { guildIds = [] } = options;
+  const definitions = options.definitions
+    ? options.definitions.map(normalizeDefinition)
+    : options.source ? loadCommandDefinitions(options.source) : null;
+  const definedKeys = definitions && new Set(definitions.map(commandKey));
+  const findings = [];
+
+  const flagOrphan = (command, target) => {
+    if (definedKeys && !definedKeys.has(commandKey(command))) findings.push({ kind: 'orphan', target, command });
+  };
+
+  const global = await discordClient.getGlobalCommands();
+  const globalByKey = new Map(global.map(cmd => [commandKey(cmd), cmd]));
+  global.forEach(cmd => flagOrphan(cmd, targetFor()));
+
+  const guilds = [];
+  for (const guildId of guildIds) {
+    const target = targetFor(guildId);
+    let commands;
+    try {
+      commands = await discordClient.getGuildCommands(guildId);
+    } catch (error) {
+      // Bad credentials fail the same way for every guild, so stop at the first one
+      if (error instanceof InvalidTokenError) throw error;
+      guilds.push({ guildId, commands: [], error });
+      continue;
+    }
+    guilds.push({ guildId, commands, error: null });
+
+    for (const command of commands) {
+      const globalCommand = globalByKey.get(commandKey(command));
+      if (!globalCommand) {
+        flagOrphan(command, target);
+        continue;
+      }
+      const changes = diffValues(toComparableCommand(globalCommand), toComparableCommand(command), '');
+      findings.push(changes.length === 0
+        ? { kind: 'duplicate', target, command, global: globalCommand }
+        : { kind: 'collision', target, command, global: globalCommand, changes });
+    }
+  }
+
+  return { global, guilds, findings };
+}
+
+/**
+ * Commands a watched scope should have
+ * @typedef {Object} DesiredState
+ * @property {CommandTarget} target - Watched scope
+ * @property {Array} definitions - Command definitions the scope should match; empty when it
+ *   should have no commands at all
+ */
+
+/**
+ * Outcome of checking one watched scope
+ * @typedef {Object} DriftCheck
+ * @property {CommandTarget} target - Checked scope
+ * @property {boolean} drifted - Whether the registered commands differ from the desired state
+ * @property {Object} [diff] - Result of diffCommandSets(registered, desired); its removed
+ *   commands are stray ones, its added commands are missing
+ * @property {boolean} [fixed] - Whether the drift was fixed by syncing the scope
+ * @property {Error} [error] - Why the scope could not be checked or fixed
+ */
+
+/**
+ * Compare the commands of a scope with its desired state and, when asked, make them match
+ * Scopes that should have no commands are fixed by deleting every command, all others by one
+ * bulk overwrite. Both keep the Activity entry point unless the definitions include one, so a
+ * registered entry point does not count as drift then
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {DesiredState} desired - Scope and the commands it should have
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.fix=false] - Make the scope match the desired state when it drifted
+ * @param {boolean} [options.backup=true] - Back up the scope before fixing it
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<DriftCheck>} Whether and how the scope drifted; a failed fix is returned
+ *   with fixed: false and its error
+ */
+async function checkCommandDrift(discordClient, desired, options = {}) {
+  const { target, definitions } = desired;
+  const registered = await fetchTargetCommands(discordClient, target);
+  const definesEntryPoint = definitions.some(cmd => cmd.type === COMMAND_TYPES.PRIMARY_ENTRY_POINT);
+  const kept = definesEntryPoint ? [] : registered.filter(cmd => isProtectedEntryPoint(cmd, {}, false));
+  const remote = registered.filter(cmd => !kept.includes(cmd));
+  const diff = diffCommandSets(remote, definitions);
+  const drifted = diff.added.length + diff.removed.length + diff.changed.length > 0;
+  if (!drifted || !options.fix) return { target, drifted, diff };
+
+  const fixOptions = { guildId: target.guildId, backup: options.backup, backupDir: options.backupDir };
+  try {
+    if (definitions.length > 0) {
+      // Discord refuses a bulk overwrite that would drop the entry point, so carry it over
+      await syncCommandSet(discordClient, { ...fixOptions, definitions: [...definitions, ...kept.map(toCommandPayload)], current: registered });
+    } else {
+      const { failed } = await deleteCommands(discordClient, fixOptions);
+      if (failed.length > 0) return { target, drifted, diff, fixed: false, error: failed[0].error };
+    }
+  } catch (error) {
+    if (error instanceof InvalidTokenError) throw error;
+    return { target, drifted, diff, fixed: false, error };
+  }
+  return { target, drifted, diff, fixed: true };
+}
+
+/**
+ * Post a drift alert to a webhook as JSON
+ * The content field summarizes the drift in one line, so chat webhooks can show it as is
+ * @param {string} url - Webhook URL
+ * @param {DriftCheck} check - Drifted scope
+ * @returns {Promise<void>}
+ */
+async function postDriftAlert(url, check) {
+  const names = list => list.map(cmd => cmd.name);
+  const stray = names(check.diff.removed);
+  const missing = names(check.diff.added);
+  const changed = names(check.diff.changed);
+  const summary = [
+    stray.length > 0 && `stray: ${stray.join(', ')}`,
+    missing.length > 0 && `missing: ${missing.join(', ')}`,
+    changed.length > 0 && `changed: ${changed.join(', ')}`
+  ].filter(Boolean).join('; ');
+
+  await axios.post(url, {
+    event: 'drift',
+    content: `Command drift in ${describeTarget(check.target)} (${summary})${check.fixed ? ', fixed' : ''}`,
+    target: check.target,
+    stray,
+    missing,
+    changed,
+    fixed: Boolean(check.fixed),
+    detectedAt: new Date().toISOString()
+  }, { timeout: WEBHOOK_TIMEOUT_MS });
+}
+
+/**
+ * Summary of a watch run, resolved once it stops
+ * @typedef {Object} WatchSummary
+ * @property {number} checks - Completed check rounds
+ * @property {number} drifts - Scopes found drifted, counted per round
+ * @property {number} fixes - Drifted scopes that were fixed
+ * @property {number} errors - Scopes that could not be checked or fixed, counted per round
+ */
+
+/**
+ * Check watched scopes against their desired state on an interval until stopped
+ * Every request goes through the client, so its rate-limit handling applies. Emits on the client:
+ * - watchCheck {check, results: DriftCheck[]}: after every round
+ * - drift {check, result: DriftCheck}: for every drifted scope, after it was fixed (if asked to)
+ * - warning: when a drift alert could not be posted to the webhook
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} options - Watch options
+ * @param {DesiredState[]} options.desired - Scopes to watch and the commands they should have
+ * @param {number} [options.intervalMs] - Time between rounds (defaults to DEFAULT_WATCH_INTERVAL_MS)
+ * @param {boolean} [options.fix=false] - Make drifted scopes match their desired state
+ * @param {string} [options.webhookUrl] - URL drift alerts are posted to
+ * @param {number} [options.maxChecks=Infinity] - Stop after this many rounds
+ * @param {boolean} [options.backup=true] - Back up a scope before fixing it
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {{stop: Function, finished: Promise<WatchSummary>}} stop() ends the watch after the
+ *   current round; finished resolves with the summary, or rejects if the credentials are rejected
+ */
+function watchCommandState(discordClient, options) {
+  const { desired, intervalMs = DEFAULT_WATCH_INTERVAL_MS, webhookUrl, maxChecks = Infinity } = options;
+  const summary = { checks: 0, drifts: 0, fixes: 0, errors: 0 };
+  let stopped = false;
+  let timer = null;
+  let wake = null;
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (wake) wake();
+  };
+
+  const runRound = async () => {
+    const results = [];
+    for (const state of desired) {
+      let result;
+      try {
+        result = await checkCommandDrift(discordClient, state, options);
+      } catch (error) {
+        // Bad credentials fail the same way for every scope and every round
+        if (error instanceof InvalidTokenError) throw error;
+        result = { target: state.target, drifted: false, error };
+      }
+      results.push(result);
+
+      if (result.error) summary.errors++;
+      if (!result.drifted) continue;
+      summary.drifts++;
+      if (result.fixed) summary.fixes++;
+
+      if (webhookUrl) {
+        try {
+          await postDriftAlert(webhookUrl, result);
+        } catch (error) {
+          discordClient.emit('warning', `Could not post the drift alert to ${webhookUrl}: ${error.message}`);
+        }
+      }
+      discordClient.emit('drift', { check: summary.checks + 1, result });
+    }
+
+    summary.checks++;
+    discordClient.emit('watchCheck', { check: summary.checks, results });
+  };
+
+  const finished = (async () => {
+    while (!stopped) {
+      await runRound();
+      // stop() may have been called while the round ran, when there was no wait to cut short
+      if (stopped || summary.checks >= maxChecks) break;
+      await new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, intervalMs);
+      });
+    }
+    return summary;
+  })();
+
+  return { stop, finished };
+}
+
+/**
+ * Local dashboard: a JSON API over the functions above, plus one page that uses it
+ * The server only listens on the loopback interface and every API request needs the access token
+ */
+
+/**
+ * Error that the dashboard turns into a 4xx response
+ */
+class DashboardRequestError extends Error {
+  /**
+   * @param {number} status - HTTP status to respond with
+   * @param {string} message - What was wrong with the request
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'DashboardRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Web page of the dashboard; it reads the access token from the URL fragment, which browsers
+ * never send to the server
+ */
+const DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Discord Command Cleaner</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; margin-top: 1rem; }
+  th, td { border-bottom: 1px solid #ddd; padding: .4rem; text-align: left; font-size: .9rem; }
+  code, pre { font-family: ui-monospace, monospace; font-size: .85rem; }
+  pre { background: #f5f5f5; padding: 1rem; overflow: auto; max-height: 24rem; }
+  button { margin-right: .5rem; }
+  #status { margin-top: 1rem; }
+  .error { color: #b00020; }
+</style>
+</head>
+<body>
+<h1>Discord Command Cleaner</h1>
+<label>Scope <select id="scope"></select></label>
+<button id="refresh">Refresh</button>
+<button id="backup">Back up</button>
+<button id="delete">Delete selected</button>
+<div id="status"></div>
+<table>
+  <thead><tr><th><input type="checkbox" id="all"></th><th>Name</th><th>Type</th><th>ID</th><th>Description</th><th></th></tr></thead>
+  <tbody id="commands"></tbody>
+</table>
+<pre id="details" hidden></pre>
+<script>
+  const token = new URLSearchParams(location.hash.slice(1)).get('token') || sessionStorage.getItem('token') || prompt('Access token:');
+  sessionStorage.setItem('token', token);
+  history.replaceState(null, '', location.pathname);
+  const $ = id => document.getElementById(id);
+  const status = (text, error = false) => { $('status').textContent = text; $('status').className = error ? 'error' : ''; };
+  const guildQuery = () => $('scope').value ? '?guild=' + $('scope').value : '';
+
+  async function api(method, url, body) {
+    const response = await fetch(url, {
+      method,
+      headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error + (data.fix ? ' ' + data.fix : ''));
+    return data;
+  }
+
+  async function loadCommands() {
+    status('Loading...');
+    $('details').hidden = true;
+    try {
+      const { commands } = await api('GET', '/api/commands' + guildQuery());
+      $('commands').replaceChildren(...commands.map(command => {
+        const row = document.createElement('tr');
+        const cells = [command.name, command.type || 1, command.id, command.description || ''];
+        row.innerHTML = '<td><input type="checkbox"></td>' + cells.map(() => '<td></td>').join('') + '<td><button>Inspect</button></td>';
+        cells.forEach((value, i) => { row.cells[i + 1].textContent = value; });
+        row.querySelector('input').value = command.id;
+        row.querySelector('button').onclick = () => inspect(command.id);
+        return row;
+      }));
+      status(commands.length + ' commands');
+    } catch (error) {
+      status(error.message, true);
+    }
+  }
+
+  async function inspect(id) {
+    try {
+      const { command } = await api('GET', '/api/commands/' + id + guildQuery());
+      $('details').textContent = JSON.stringify(command, null, 2);
+      $('details').hidden = false;
+    } catch (error) {
+      status(error.message, true);
+    }
+  }
+
+  $('refresh').onclick = loadCommands;
+  $('scope').onchange = loadCommands;
+  $('all').onchange = () => document.querySelectorAll('#commands input').forEach(box => { box.checked = $('all').checked; });
+  $('backup').onclick = async () => {
+    try {
+      const { file, count } = await api('POST', '/api/backup', { guild: $('scope').value || undefined });
+      status('Backed up ' + count + ' commands to ' + file);
+    } catch (error) {
+      status(error.message, true);
+    }
+  };
+  $('delete').onclick = async () => {
+    const ids = [...document.querySelectorAll('#commands input:checked')].map(box => box.value);
+    if (ids.length === 0) return status('Select commands to delete first.', true);
+    if (!confirm('Delete ' + ids.length + ' commands from ' + $('scope').selectedOptions[0].text + '? This cannot be undone.')) return;
+    try {
+      const result = await api('POST', '/api/delete', { guild: $('scope').value || undefined, ids });
+      await loadCommands();
+      status('Deleted ' + result.deleted.length + ', failed ' + result.failed.length + (result.dryRun ? ' (dry run)' : '') + (result.backupFile ? '; backup: ' + result.backupFile : ''));
+    } catch (error) {
+      status(error.message, true);
+    }
+  };
+
+  api('GET', '/api/scopes').then(({ guilds }) => {
+    $('scope').replaceChildren(new Option('Global commands', ''), ...guilds.map(guild => new Option(guild.name + ' (' + guild.id + ')', guild.id)));
+    return loadCommands();
+  }).catch(error => status(error.message, true));
+</script>
+</body>
+</html>
+`;
+
+/**
+ * Read and parse the JSON body of a dashboard request
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Object>} Parsed body; empty when there is none, and always a plain object
+ */
+async function readJsonBody(request) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > MAX_DASHBOARD_BODY_BYTES) throw new DashboardRequestError(413, 'Request body is too large');
+  }
+  if (body === '') return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (error) {
+    throw new DashboardRequestError(400, `Invalid JSON body: ${error.message}`);
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new DashboardRequestError(400, 'The body must be a JSON object');
+  }
+  return parsed;
+}
+
+/**
+ * Check a Guild ID given to the dashboard
+ * @param {string} [guildId] - Guild ID from the query or body
+ * @returns {string|undefined} The Guild ID, or undefined for global commands
+ */
+function dashboardGuildId(guildId) {
+  if (guildId === undefined || guildId === null || guildId === '') return undefined;
+  if (!isValidSnowflake(String(guildId))) throw new DashboardRequestError(400, 'guild must be a valid Guild ID');
+  return String(guildId);
+}
+
+/**
+ * Check a list of strings given to the dashboard
+ * @param {Object} body - Request body
+ * @param {string} field - Field holding the list
+ * @returns {string[]} The list, or an empty one when the field is missing
+ */
+function dashboardStringList(body, field) {
+  const value = body[field];
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || !value.every(entry => typeof entry === 'string')) {
+    throw new DashboardRequestError(400, `${field} must be an array of strings`);
+  }
+  return value;
+}
+
+/**
+ * Check whether a request carries the dashboard's access token
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {string} token - Access token
+ * @returns {boolean} True if the bearer token matches
+ */
+function hasDashboardToken(request, token) {
+  const [scheme, given = ''] = (request.headers.authorization || '').split(' ');
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(given);
+  return scheme === 'Bearer' && actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Handle one dashboard API request
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {http.IncomingMessage} request - Incoming request, for the body
+ * @param {Object} options - Dashboard options (backupDir)
+ * @returns {Promise<Object>} Response body
+ */
+async function handleDashboardApi(discordClient, method, url, request, options) {
+  const route = `${method} ${url.pathname}`;
+  const commandMatch = url.pathname.match(/^\/api\/commands\/([^/]+)$/);
+
+  if (route === 'GET /api/scopes') {
+    const guilds = await discordClient.getBotGuilds();
+    return { global: true, guilds: guilds.map(({ id, name }) => ({ id, name })) };
+  }
+
+  if (route === 'GET /api/commands') {
+    let types;
+    try {
+      types = parseCommandTypes(splitList(url.searchParams.get('type') || ''));
+    } catch (error) {
+      throw new DashboardRequestError(400, error.message);
+    }
+    return listCommands(discordClient, { guildId: dashboardGuildId(url.searchParams.get('guild')), types });
+  }
+
+  if (method === 'GET' && commandMatch) {
+    const { target, commands } = await listCommands(discordClient, { guildId: dashboardGuildId(url.searchParams.get('guild')) });
+    const key = decodeURIComponent(commandMatch[1]);
+    const command = commands.find(cmd => cmd.id === key || cmd.name === key);
+    if (!command) throw new DashboardRequestError(404, `No command with the ID or name ${key} in ${describeTarget(target)}`);
+    return { target, command };
+  }
+
+  if (method === 'DELETE' && commandMatch) {
+    const key = decodeURIComponent(commandMatch[1]);
+    return deleteCommands(discordClient, {
+      guildId: dashboardGuildId(url.searchParams.get('guild')),
+      selection: isValidSnowflake(key) ? { ids: [key] } : { names: [key] },
+      backupDir: options.backupDir
+    });
+  }
+
+  if (route === 'POST /api/delete') {
+    const body = await readJsonBody(request);
+    const typeNames = dashboardStringList(body, 'types');
+    let types;
+    try {
+      types = parseCommandTypes(typeNames);
+    } catch (error) {
+      throw new DashboardRequestError(400, error.message);
+    }
+    const selection = { names: dashboardStringList(body, 'names'), ids: dashboardStringList(body, 'ids'), match: body.match, types };
+    if (!hasSelection(selection) && body.all !== true) {
+      throw new DashboardRequestError(400, 'Give names, ids, match or types, or all: true to delete every command');
+    }
+    if (selection.match !== undefined && typeof selection.match !== 'string') {
+      throw new DashboardRequestError(400, 'match must be a string');
+    }
+    if (selection.match !== undefined && validateMatchPattern(selection.match) !== true) {
+      throw new DashboardRequestError(400, validateMatchPattern(selection.match));
+    }
+    return deleteCommands(discordClient, {
+      guildId: dashboardGuildId(body.guild),
+      selection,
+      includeEntryPoint: Boolean(body.includeEntryPoint),
+      backup: body.backup !== false,
+      backupDir: options.backupDir
+    });
+  }
+
+  if (route === 'POST /api/backup') {
+    const body = await readJsonBody(request);
+    const { target, commands, file } = await backupCommandSet(discordClient, { guildId: dashboardGuildId(body.guild), backupDir: options.backupDir });
+    return { target, file, count: commands.length };
+  }
+
+  if (route === 'POST /api/diff') {
+    const body = await readJsonBody(request);
+    // Only inline definitions: loading a path would run whatever JS file the caller names
+    if (!Array.isArray(body.definitions)) {
+      throw new DashboardRequestError(400, 'Give the definitions as an array of command payloads');
+    }
+    let definitions;
+    try {
+      definitions = body.definitions.map(normalizeDefinition);
+    } catch (error) {
+      throw new DashboardRequestError(400, error.message);
+    }
+    const { target, commands } = await listCommands(discordClient, { guildId: dashboardGuildId(body.guild) });
+    return { target, ...diffCommandSets(commands, definitions) };
+  }
+
+  throw new DashboardRequestError(404, `No endpoint ${route}`);
+}
+
+/**
+ * Create the local dashboard server (not yet listening)
+ * Endpoints, all answering JSON and needing "Authorization: Bearer <token>":
+ * - GET /api/scopes: guilds the bot is in
+ * - GET /api/commands?guild=&type=: list commands (global without guild)
+ * - GET /api/commands/:idOrName?guild=: inspect one command
+ * - DELETE /api/commands/:idOrName?guild=: delete one command, after a backup
+ * - POST /api/delete {guild, names, ids, match, types, all, includeEntryPoint, backup}: delete a selection;
+ *   names, ids and types (slash, user, message, entry-point) are arrays of strings
+ * - POST /api/backup {guild}: write a backup
+ * - POST /api/diff {guild, definitions}: compare with command payloads sent in the body
+ * GET / serves the web page. Requests naming another host are refused, so other websites cannot
+ * reach the server through DNS rebinding
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} options - Dashboard options
+ * @param {string} options.token - Access token the API requires
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {http.Server} The server; emits 'handled' {method, path, status} after every request
+ */
+function createDashboardServer(discordClient, options) {
+  if (!options.token) throw new Error('The dashboard needs an access token');
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const send = (status, body, type = 'application/json') => {
+      response.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store', 'X-Content-Type-Options': 'nosniff' });
+      response.end(type === 'application/json' ? JSON.stringify(body, null, 2) : body);
+      server.emit('handled', { method: request.method, path: url.pathname, status });
+    };
+
+    const host = (request.headers.host || '').replace(/:\d+$/, '');
+    if (!['127.0.0.1', 'localhost', '[::1]'].includes(host)) {
+      send(403, { error: 'The dashboard only answers requests for localhost' });
+      return;
+    }
+    if (request.method === 'GET' && url.pathname === '/') {
+      send(200, DASHBOARD_HTML, 'text/html; charset=utf-8');
+      return;
+    }
+    if (!hasDashboardToken(request, options.token)) {
+      send(401, { error: 'Missing or wrong access token' });
+      return;
+    }
+
+    try {
+      send(200, await handleDashboardApi(discordClient, request.method, url, request, options));
+    } catch (error) {
+      if (error instanceof DashboardRequestError) {
+        send(error.status, { error: error.message });
+      } else if (error instanceof DiscordRequestError) {
+        // Pass client errors such as an unknown guild on, but make clear when Discord itself failed
+        const status = error.status >= 400 && error.status < 500 && error.status !== 401 ? error.status : 502;
+        send(status, { error: error.message, code: error.code, reason: error.reason, fix: error.fix });
+      } else {
+        send(500, { error: error.message });
+      }
+    }
+  });
+
+  return server;
+}
+
+/**
+ * List all global commands for the bot
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {number[]} [options.types] - Only list commands of these types
+ * @param {string} [options.format='table'] - One of LIST_FORMATS; anything but 'table' prints only the listing
+ * @returns {Promise<boolean>} True if the commands were listed
+ */
+async function listGlobalCommands(discordClient, options = {}) {
+  const { interactive = true, types = [], format = 'table' } = options;
+  const table = format === 'table';
+  let success = true;
+
+  if (interactive) clearScreen();
+  if (table) console.log(chalk.bgCyan.black(' GLOBAL COMMANDS ') + '\n');
+
+  try {
+    // Start loading spinner
+    const loadingMsg = 'Fetching global commands... ';
+    if (table) writeStatusLine(chalk.yellow(loadingMsg) + chalk.cyan('⟳'));
+    
+    const { commands } = await listCommands(discordClient, { types });
+    
+    // Clear loading spinner
+    clearStatusLine();
+    
+    if (!table) {
+      console.log(formatCommandList(commands, format));
+    } else if (commands.length === 0) {
+      console.log(chalk.yellow('⚠️  No global commands found.'));
+      console.log(chalk.gray(types.length
+        ? `└─ Your bot has no global ${types.map(commandTypeLabel).join('/')} commands registered.`
+        : '└─ Your bot has no global commands registered.'));
+    } else {
+      console.log(chalk.green(`✅ Found ${commands.length} global commands:`));
+      printCommandTable(commands);
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to list global commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Delete all or selected global commands for the bot
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Deletion options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {boolean} [options.yes=false] - Skip the confirmation prompt
+ * @param {number} [options.concurrency] - Deletions in flight at once (defaults to DEFAULT_CONCURRENCY)
+ * @param {boolean} [options.retry=false] - Retry failed deletions with backoff without asking
+ * @param {CommandSelection} [options.selection] - Only delete commands matching this selection
+ * @param {boolean} [options.backup=true] - Write a backup of the fetched commands before deleting
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<boolean>} True if every selected command was deleted (or there was nothing to delete)
+ */
+async function deleteGlobalCommands(discordClient, options = {}) {
+  const { interactive = true, yes = false } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgRed.white(' DELETE GLOBAL COMMANDS ') + '\n');
+  printDryRunNotice(discordClient);
+
+  try {
+    // Start loading spinner
+    writeStatusLine(chalk.yellow('Fetching global commands... ') + chalk.cyan('⟳'));
+    
+    const commands = await discordClient.getGlobalCommands();
+    
+    // Clear loading spinner
+    clearStatusLine();
+    
+    if (commands.length === 0) {
+      console.log(chalk.yellow('⚠️  No global commands found to delete.'));
+      console.log(chalk.gray('└─ Your bot has no global commands registered.'));
+    } else {
+      console.log(chalk.green(`✅ Found ${commands.length} global commands:`));
+      printCommandTable(commands);
+      
+      const targets = await resolveDeletionTargets(commands, options);
+      const deleteAll = targets.length === commands.length;
+      
+      if (targets.length === 0) {
+        console.log(chalk.yellow('⚠️  No commands selected for deletion.'));
+      } else {
+        if (!deleteAll) printSelectedCommands(targets, commands.length);
+        
+        // Warning visualization
+        console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow('Deleting commands is irreversible'));
+        console.log(chalk.gray(deleteAll
+          ? '└─ All commands, including context menus, will be removed from your bot'
+          : `└─ ${targets.length} selected commands will be removed from your bot`));
+        console.log(chalk.gray('└─ This will affect all users and servers immediately'));
+        console.log();
+        
+        const confirm = yes || await promptConfirm(deleteAll
+          ? '⚠️  Are you sure you want to delete ALL global commands?'
+          : `⚠️  Are you sure you want to delete ${targets.length} selected global commands?`);
+        
+        if (confirm) {
+          await backupCommandsBeforeChange(discordClient, commands, { scope: 'global' }, options, 'delete');
+          
+          const { done: deletedCount } = await deleteCommandsWithRetry(
+            discordClient,
+            targets,
+            cmd => deleteTargetCommand(discordClient, { scope: 'global' }, cmd),
+            options
+          );
+          printOperationSummary(deletedCount, targets.length, 'global', 'delete', discordClient.dryRun);
+          success = deletedCount === targets.length;
+        } else {
+          console.log(chalk.yellow('⚠️  Operation cancelled.'));
+        }
+      }
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to delete global commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+  
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * List all guild commands for the bot
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {string} [options.guildId] - Guild ID to list; prompted for when omitted
+ * @param {number[]} [options.types] - Only list commands of these types
+ * @param {string} [options.format='table'] - One of LIST_FORMATS; anything but 'table' prints only the listing
+ * @returns {Promise<boolean>} True if the commands were listed
+ */
+async function listGuildCommands(discordClient, options = {}) {
+  const { interactive = true, types = [], format = 'table' } = options;
+  const table = format === 'table';
+  let success = true;
+
+  if (interactive) clearScreen();
+  if (table) console.log(chalk.bgCyan.black(' GUILD COMMANDS ') + '\n');
+
+  try {
+    const guildId = options.guildId || await promptGuildId('list', getDefaultGuildId(discordClient));
+
+    // Start loading spinner
+    if (table) writeStatusLine('\n' + chalk.yellow(`Fetching commands for Guild ID ${guildId}... `) + chalk.cyan('⟳'));
+    
+    const { commands } = await listCommands(discordClient, { guildId, types });
+    
+    // Clear loading spinner
+    clearStatusLine();
+    
+    if (!table) {
+      console.log(formatCommandList(commands, format));
+    } else if (commands.length === 0) {
+      console.log(chalk.yellow(`⚠️  No commands found for Guild ID ${guildId}.`));
+      console.log(chalk.gray(types.length
+        ? `└─ This guild has no ${types.map(commandTypeLabel).join('/')} commands registered for your bot.`
+        : '└─ This guild has no commands registered for your bot.'));
+    } else {
+      console.log(chalk.green(`✅ Found ${commands.length} commands for Guild ID ${guildId}:`));
+      printCommandTable(commands);
+      
+      // Show guild info
+      console.log(chalk.bgBlue.white(' GUILD INFO ') + ` Commands belong to Guild ID: ${chalk.cyan(guildId)}`);
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to list guild commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Delete all or selected guild commands for the bot
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Deletion options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {string} [options.guildId] - Guild ID to clean up; prompted for when omitted
+ * @param {boolean} [options.yes=false] - Skip the confirmation prompt
+ * @param {boolean} [options.resetPermissions=false] - Also reset permission overwrites left in the guild
+ * @param {number} [options.concurrency] - Deletions in flight at once (defaults to DEFAULT_CONCURRENCY)
+ * @param {boolean} [options.retry=false] - Retry failed deletions with backoff without asking
+ * @param {CommandSelection} [options.selection] - Only delete commands matching this selection
+ * @param {boolean} [options.backup=true] - Write a backup of the fetched commands before deleting
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<boolean>} True if every selected command was deleted (or there was nothing to delete)
+ */
+async function deleteGuildCommands(discordClient, options = {}) {
+  const { interactive = true, yes = false } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgRed.white(' DELETE GUILD COMMANDS ') + '\n');
+  printDryRunNotice(discordClient);
+
+  try {
+    const guildId = options.guildId || await promptGuildId('delete', getDefaultGuildId(discordClient));
+
+    // Start loading spinner
+    writeStatusLine('\n' + chalk.yellow(`Fetching commands for Guild ID ${guildId}... `) + chalk.cyan('⟳'));
+    
+    const commands = await discordClient.getGuildCommands(guildId);
     
-    console.log(chalk.green(`✅ Found ${commands.length} global commands:`));
-    
-    // Create a formatted table
-    console.log();
-    console.log(chalk.cyan('  # │ ') + chalk.cyan('NAME') + ' '.repeat(15) + chalk.cyan('│ COMMAND ID'));
-    console.log(chalk.cyan('────┼──────────────────────┼─────────────────────'));
-    
-    commands.forEach((cmd, i) => {
-      const index = chalk.white(`${i + 1}`.padStart(3));
-      const name = chalk.green(cmd.name.padEnd(20));
-      const id = chalk.blue(cmd.id);
-      console.log(`  ${index} │ ${name} │ ${id}`);
-      
-      // If command has a description, show it indented
-      if (cmd.description) {
-        console.log(`     │ ${chalk.gray('└─ ' + cmd.description.slice(0, 50) + (cmd.description.length > 50 ? '...' : ''))} │`);
-      }
-    });
-    console.log();
-    
-    // Warning visualization
-    console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow('Deleting commands is irreversible'));
-    console.log(chalk.gray('└─ All slash commands will be removed from your bot'));
-    console.log(chalk.gray('└─ This will affect all users and servers immediately'));
-    console.log();
-    
-    const { confirm } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirm',
-        message: chalk.red('⚠️  Are you sure you want to delete ALL global commands?'),
-        default: false
-      }
-    ]);
-    
-    if (confirm) {
+    // Clear loading spinner
+    clearStatusLine();
+    
+    if (commands.length === 0) {
+      console.log(chalk.yellow(`⚠️  No commands found for Guild ID ${guildId}.`));
+      console.log(chalk.gray('└─ This guild has no commands registered for your bot.'));
+    } else {
+      console.log(chalk.green(`✅ Found ${commands.length} commands for Guild ID ${guildId}:`));
+      printCommandTable(commands);
+      
+      const targets = await resolveDeletionTargets(commands, options);
+      const deleteAll = targets.length === commands.length;
+      
+      if (targets.length === 0) {
+        console.log(chalk.yellow('⚠️  No commands selected for deletion.'));
+      } else {
+        if (!deleteAll) printSelectedCommands(targets, commands.length);
+        
+        // Warning visualization
+        console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow('Deleting commands is irreversible'));
+        console.log(chalk.gray(deleteAll
+          ? '└─ All guild commands, including context menus, will be removed from this specific server'
+          : `└─ ${targets.length} selected guild commands will be removed from this specific server`));
+        console.log(chalk.gray('└─ This will affect all users in this server immediately'));
+        console.log();
+        
+        const confirm = yes || await promptConfirm(deleteAll
+          ? `⚠️  Are you sure you want to delete ALL commands for Guild ID ${guildId}?`
+          : `⚠️  Are you sure you want to delete ${targets.length} selected commands for Guild ID ${guildId}?`);
+        
+        if (confirm) {
+          await backupCommandsBeforeChange(discordClient, commands, { scope: 'guild', guildId }, options, 'delete');
+          
+          const { done: deletedCount } = await deleteCommandsWithRetry(
+            discordClient,
+            targets,
+            cmd => deleteTargetCommand(discordClient, { scope: 'guild', guildId }, cmd),
+            options
+          );
+          printOperationSummary(deletedCount, targets.length, 'guild', 'delete', discordClient.dryRun);
+          success = deletedCount === targets.length;
+          
+          if (interactive || options.resetPermissions) {
+            success = await cleanUpPermissionOverwrites(discordClient, guildId, options) && success;
+          }
+        } else {
+          console.log(chalk.yellow('⚠️  Operation cancelled.'));
+        }
+      }
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to delete guild commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * List command counts across several guilds
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {GuildSource} [options.guilds] - Guilds to list; prompted for when omitted
+ * @param {number[]} [options.types] - Only count commands of these types
+ * @param {string} [options.format='table'] - One of LIST_FORMATS; anything but 'table' prints
+ *   the commands of all guilds as one listing instead of the per-guild report
+ * @returns {Promise<boolean>} True if every guild could be listed
+ */
+async function listMultiGuildCommands(discordClient, options = {}) {
+  const { interactive = true, types = [], format = 'table' } = options;
+  const table = format === 'table';
+  let success = true;
+
+  if (interactive) clearScreen();
+  if (table) console.log(chalk.bgCyan.black(' COMMANDS ACROSS GUILDS ') + '\n');
+
+  try {
+    const guilds = await resolveGuilds(discordClient, options.guilds || await promptGuildSource(discordClient));
+    const rows = [];
+
+    for (const [index, guild] of guilds.entries()) {
+      if (table) writeStatusLine(chalk.yellow(`Fetching commands for guild ${index + 1}/${guilds.length}... `) + chalk.cyan('⟳'));
+      try {
+        const { commands } = await listCommands(discordClient, { guildId: guild.id, types });
+        rows.push({ ...guild, commands, count: commands.length, result: chalk.gray(commands.map(cmd => cmd.name).join(', ').slice(0, 40)) });
+      } catch (error) {
+        // Bad credentials fail the same way for every guild, so stop at the first one
+        if (error instanceof InvalidTokenError) throw error;
+        success = false;
+        rows.push({ ...guild, error: describeGuildFailure(error) });
+      }
+      clearStatusLine();
+    }
+
+    if (!table) {
+      console.log(formatCommandList(rows.flatMap(row => row.commands || []), format));
+    } else if (rows.length === 0) {
+      console.log(chalk.yellow('⚠️  No guilds selected.'));
+    } else {
+      const total = rows.reduce((sum, row) => sum + (row.count || 0), 0);
+      console.log(chalk.green(`✅ Found ${total} commands across ${rows.length} guilds:`));
+      printGuildReport(rows);
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to list commands across guilds:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Delete the planned commands guild by guild and print the per-guild results
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Array} plans - Guilds with their deletion targets (and errors from fetching)
+ * @param {CleanupSession|null} session - Session to record progress in, if any
+ * @param {Object} options - Deletion options (see deleteGuildCommands)
+ * @returns {Promise<boolean>} True if every planned command was deleted
+ */
+async function runGuildCleanup(discordClient, plans, session, options) {
+  const pending = plans.filter(plan => !plan.error && plan.targets.length > 0);
+  let success = true;
+
+  for (const plan of pending) {
+    console.log();
+    console.log(chalk.bgBlue.white(' GUILD ') + ` ${chalk.green(plan.name)} ${chalk.cyan(plan.id)}`);
+    try {
+      if (plan.commands) {
+        await backupCommandsBeforeChange(discordClient, plan.commands, { scope: 'guild', guildId: plan.id }, options, 'delete');
+      }
+      const { done: deletedCount } = await deleteCommandsWithRetry(
+        discordClient,
+        plan.targets,
+        async cmd => {
+          const deleted = await deleteTargetCommand(discordClient, { scope: 'guild', guildId: plan.id }, cmd);
+          // A command Discord no longer knows is already gone, so a resume has nothing left to do for it
+          const gone = deleted || discordClient.commandErrors.get(cmd.id) instanceof UnknownCommandError;
+          if (gone && session) markSessionDone(session, plan.id, cmd.id);
+          return deleted;
+        },
+        options
+      );
+      plan.ok = deletedCount === plan.targets.length;
+      plan.result = plan.ok
+        ? chalk.green(`✓ deleted ${deletedCount}/${plan.targets.length}`)
+        : chalk.yellow(`⚠ deleted ${deletedCount}/${plan.targets.length}`);
+      if (!plan.ok) success = false;
+    } catch (error) {
+      success = false;
+      plan.error = error.message;
+    }
+  }
+
+  const failedGuilds = pending.filter(plan => !plan.ok).length;
+  const simulated = discordClient.dryRun ? ' (simulated, nothing was changed)' : '';
+
+  console.log();
+  console.log(chalk.cyan('Results per guild:'));
+  printGuildReport(plans);
+  if (failedGuilds === 0) {
+    console.log(chalk.bgGreen.black(' SUCCESS ') + ' ' + chalk.green(`Cleaned up ${pending.length} guilds${simulated}.`));
+  } else if (failedGuilds < pending.length) {
+    console.log(chalk.bgYellow.black(' PARTIAL ') + ' ' + chalk.yellow(`Cleaned up ${pending.length - failedGuilds}/${pending.length} guilds${simulated}.`));
+  } else {
+    console.log(chalk.bgRed.white(' FAILED ') + ' ' + chalk.red(`Failed to clean up any guilds${simulated}.`));
+  }
+  if (session) closeSession(session);
+
+  return success;
+}
+
+/**
+ * Delete all or selected commands across several guilds
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Deletion options (see deleteGuildCommands)
+ * @param {GuildSource} [options.guilds] - Guilds to clean up; prompted for when omitted
+ * @param {string} [options.sessionDir] - Directory for the session file (defaults to SESSION_DIR or ./sessions)
+ * @returns {Promise<boolean>} True if every selected command was deleted in every guild
+ */
+async function deleteMultiGuildCommands(discordClient, options = {}) {
+  const { interactive = true, yes = false, selection = {} } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgRed.white(' DELETE COMMANDS ACROSS GUILDS ') + '\n');
+  printDryRunNotice(discordClient);
+
+  try {
+    const guilds = await resolveGuilds(discordClient, options.guilds || await promptGuildSource(discordClient));
+    const plans = [];
+
+    for (const [index, guild] of guilds.entries()) {
+      writeStatusLine(chalk.yellow(`Fetching commands for guild ${index + 1}/${guilds.length}... `) + chalk.cyan('⟳'));
+      try {
+        const commands = await discordClient.getGuildCommands(guild.id);
+        const selected = hasSelection(selection) ? filterCommands(commands, selection) : commands;
+        const targets = selected.filter(cmd => !isProtectedEntryPoint(cmd, selection, options.includeEntryPoint));
+        const kept = selected.length - targets.length;
+        plans.push({ ...guild, commands, targets, count: commands.length, result: chalk.yellow(`${targets.length} to delete`) + (kept ? chalk.gray(', entry point kept') : '') });
+      } catch (error) {
+        // Bad credentials fail the same way for every guild, so stop at the first one
+        if (error instanceof InvalidTokenError) throw error;
+        success = false;
+        plans.push({ ...guild, error: describeGuildFailure(error) });
+      }
+      clearStatusLine();
+    }
+
+    const pending = plans.filter(plan => !plan.error && plan.targets.length > 0);
+    const totalTargets = pending.reduce((sum, plan) => sum + plan.targets.length, 0);
+
+    console.log(chalk.green(`✅ Checked ${plans.length} guilds:`));
+    printGuildReport(plans);
+
+    if (totalTargets === 0) {
+      console.log(chalk.yellow('⚠️  No commands to delete in the selected guilds.'));
+    } else {
+      // Warning visualization
+      console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow('Deleting commands is irreversible'));
+      console.log(chalk.gray(`└─ ${totalTargets} commands will be removed from ${pending.length} servers`));
+      console.log(chalk.gray('└─ This will affect all users in those servers immediately'));
+      console.log();
+
+      const confirm = yes || await promptConfirm(`⚠️  Are you sure you want to delete ${totalTargets} commands across ${pending.length} guilds?`);
+
+      if (confirm) {
+        // Save progress so an interrupted run can be resumed; a dry run has nothing to resume
+        const session = discordClient.dryRun ? null : createSession(pending, {
+          applicationId: await discordClient.getApplicationId(),
+          profile: discordClient.profile?.name || null,
+          sessionDir: getSessionDir(options)
+        });
+        if (session) console.log(chalk.gray(`└─ Progress is saved to ${session.file}; if interrupted, resume with: resume ${session.file}`));
+
+        success = await runGuildCleanup(discordClient, plans, session, options) && success;
+      } else {
+        console.log(chalk.yellow('⚠️  Operation cancelled.'));
+      }
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to delete commands across guilds:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Resume an interrupted cleanup across guilds from its session file
+ * Commands are neither fetched nor backed up again; only the ones not yet deleted are sent
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Resume options (see deleteGuildCommands)
+ * @param {string} [options.file] - Session file; prompted for (or the newest, when not interactive) when omitted
+ * @param {string} [options.sessionDir] - Directory to look for sessions (defaults to SESSION_DIR or ./sessions)
+ * @returns {Promise<boolean>} True if every remaining command was deleted
+ */
+async function resumeCleanupSession(discordClient, options = {}) {
+  const { interactive = true, yes = false } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgRed.white(' RESUME CLEANUP ') + '\n');
+  printDryRunNotice(discordClient);
+
+  try {
+    const sessionDir = getSessionDir(options);
+    const file = options.file || (interactive ? await promptSessionFile(sessionDir) : listSessionFiles(sessionDir)[0]);
+
+    if (!file) {
+      console.log(chalk.yellow(`⚠️  No unfinished cleanup sessions found in ${sessionDir}.`));
+    } else {
+      const session = readSession(file);
+      const applicationId = await discordClient.getApplicationId();
+      if (session.applicationId !== applicationId) {
+        throw new Error(`Session belongs to application ${session.applicationId}, not ${applicationId}`);
+      }
+
+      const plans = plansFromSession(session);
+      const remaining = plans.reduce((sum, plan) => sum + plan.targets.length, 0);
+
+      console.log(chalk.green(`✅ Session from ${session.createdAt}${session.profile ? ` (profile ${session.profile})` : ''}:`));
+      printGuildReport(plans);
+
+      if (remaining === 0) {
+        console.log(chalk.yellow('⚠️  Nothing left to delete in this session.'));
+        closeSession(session);
+      } else {
+        const confirm = yes || await promptConfirm(`⚠️  Resume deleting ${remaining} commands across ${plans.filter(plan => plan.targets.length).length} guilds?`);
+        if (confirm) {
+          success = await runGuildCleanup(discordClient, plans, discordClient.dryRun ? null : session, options);
+        } else {
+          console.log(chalk.yellow('⚠️  Operation cancelled.'));
+        }
+      }
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to resume cleanup:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Let the user pick an unfinished session
+ * @param {string} sessionDir - Session directory
+ * @returns {Promise<string|null>} Chosen session file, or null if there are none
+ */
+async function promptSessionFile(sessionDir) {
+  const files = listSessionFiles(sessionDir);
+  if (files.length === 0) return null;
+
+  const { file } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'file',
+      message: 'Select a session to resume:',
+      choices: files.map(filePath => ({ name: path.basename(filePath), value: filePath })),
+      pageSize: 15
+    }
+  ]);
+
+  return file;
+}
+
+/**
+ * View, export and reset the command permission overwrites of a guild
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Permission options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {string} [options.guildId] - Guild ID; prompted for when omitted
+ * @param {string} [options.action] - 'list', 'export' or 'reset'; prompted for when omitted
+ * @param {string} [options.exportFile] - File to export to (defaults to the backup directory)
+ * @param {boolean} [options.yes=false] - Skip the confirmation prompt for reset
+ * @param {string} [options.backupDir] - Directory for exports (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<boolean>} True if the action succeeded
+ */
+async function manageGuildPermissions(discordClient, options = {}) {
+  const { interactive = true, yes = false } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgCyan.black(' COMMAND PERMISSIONS ') + '\n');
+  printDryRunNotice(discordClient);
+
+  try {
+    const guildId = options.guildId || await promptGuildId('manage permissions of', getDefaultGuildId(discordClient));
+
+    // Start loading spinner
+    writeStatusLine('\n' + chalk.yellow(`Fetching permission overwrites for Guild ID ${guildId}... `) + chalk.cyan('⟳'));
+
+    const entries = await fetchNamedGuildPermissions(discordClient, guildId);
+
+    // Clear loading spinner
+    clearStatusLine();
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow(`⚠️  No permission overwrites found for Guild ID ${guildId}.`));
+      console.log(chalk.gray('└─ Every command uses its default permissions in this guild.'));
+    } else {
+      console.log(chalk.green(`✅ Found permission overwrites for ${entries.length} commands in Guild ID ${guildId}:`));
+      printPermissionTable(entries, guildId);
+
+      const action = options.action || await promptPermissionAction();
+
+      if (action === 'export') {
+        const filePath = writePermissionExport(entries, guildId, {
+          applicationId: await discordClient.getApplicationId(),
+          file: options.exportFile,
+          backupDir: getBackupDir(options)
+        });
+        console.log(chalk.green(`💾 Exported permission overwrites to ${chalk.white(filePath)}`));
+      } else if (action === 'reset') {
+        // Warning visualization
+        console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow('Resetting permissions is irreversible'));
+        console.log(chalk.gray('└─ Commands fall back to their default member permissions in this guild'));
+        console.log();
+
+        const confirm = yes || await promptConfirm(`⚠️  Are you sure you want to reset ALL permission overwrites for Guild ID ${guildId}?`);
+        if (confirm) {
+          success = await resetPermissionEntries(discordClient, guildId, entries);
+        } else {
+          console.log(chalk.yellow('⚠️  Operation cancelled.'));
+        }
+      }
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to manage command permissions:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Ask the user what to do with the listed permission overwrites
+ * @returns {Promise<string>} 'list', 'export' or 'reset'
+ */
+async function promptPermissionAction() {
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: 'What do you want to do?',
+      choices: [
+        { name: 'Nothing, just view them', value: 'list' },
+        { name: 'Export them to JSON', value: 'export' },
+        { name: 'Reset all of them', value: 'reset' }
+      ]
+    }
+  ]);
+
+  return action;
+}
+
+/**
+ * Save a listing of global or guild commands to a JSON, CSV or Markdown file
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {CommandTarget} [options.target] - Commands to save; prompted for when omitted
+ * @param {string} [options.format] - 'json', 'csv' or 'md'; prompted for when omitted
+ * @param {string} [options.file] - File to write; prompted for when omitted
+ * @returns {Promise<boolean>} True if the listing was written
+ */
+async function saveCommandList(discordClient, options = {}) {
+  const { interactive = true } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgCyan.black(' SAVE COMMAND LIST ') + '\n');
+
+  try {
+    const target = options.target || await promptTarget('save', getDefaultGuildId(discordClient));
+    const format = options.format || await promptListFormat();
+    const file = options.file || await promptListFile(target, format);
+
+    // Start loading spinner
+    writeStatusLine('\n' + chalk.yellow(`Fetching ${describeTarget(target)}... `) + chalk.cyan('⟳'));
+
+    const commands = await fetchTargetCommands(discordClient, target);
+
+    // Clear loading spinner
+    clearStatusLine();
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, formatCommandList(commands, format) + '\n');
+    console.log(chalk.green(`💾 Saved ${commands.length} ${describeTarget(target)} to ${chalk.white(file)}`));
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to save command list:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Ask the user for the format of a saved listing
+ * @returns {Promise<string>} 'json', 'csv' or 'md'
+ */
+async function promptListFormat() {
+  const { format } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'format',
+      message: 'Which format do you want to save?',
+      choices: [
+        { name: 'JSON (for other tooling)', value: 'json' },
+        { name: 'CSV (for spreadsheets)', value: 'csv' },
+        { name: 'Markdown (for release notes)', value: 'md' }
+      ]
+    }
+  ]);
+
+  return format;
+}
+
+/**
+ * Ask the user where to save a listing
+ * @param {CommandTarget} target - Commands being saved
+ * @param {string} format - Format being saved
+ * @returns {Promise<string>} File path
+ */
+async function promptListFile(target, format) {
+  const name = target.scope === 'guild' ? `commands-${target.guildId}` : 'commands-global';
+  const { file } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'file',
+      message: 'Save to file:',
+      default: `${name}.${LIST_FORMAT_EXTENSIONS[format]}`,
+      validate: input => input.trim() !== '' || 'Please enter a file name'
+    }
+  ]);
+
+  return file.trim();
+}
+
+/**
+ * Write a backup of global or guild commands on demand
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Backup options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {CommandTarget} [options.target] - Commands to back up; prompted for when omitted
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<boolean>} True if the backup was written
+ */
+async function backupCommands(discordClient, options = {}) {
+  const { interactive = true } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgBlue.white(' BACKUP COMMANDS ') + '\n');
+
+  try {
+    const target = options.target || await promptTarget('back up', getDefaultGuildId(discordClient));
+
+    if (discordClient.dryRun) {
+      printBackupNotice(discordClient, null, 0, target);
+    } else {
+      // Start loading spinner
+      writeStatusLine('\n' + chalk.yellow(`Fetching ${describeTarget(target)}... `) + chalk.cyan('⟳'));
+
+      const { commands, file } = await backupCommandSet(discordClient, { guildId: target.guildId, backupDir: options.backupDir });
+
+      // Clear loading spinner
+      clearStatusLine();
+
+      printBackupNotice(discordClient, file, commands.length, target);
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to back up commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Let the user pick a backup file
+ * @param {string} backupDir - Backup directory
+ * @returns {Promise<string|null>} Chosen file, or null if there are no backups
+ */
+async function promptBackupFile(backupDir) {
+  const files = listBackupFiles(backupDir);
+  if (files.length === 0) return null;
+
+  const { file } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'file',
+      message: 'Select a backup to restore:',
+      choices: files.map(filePath => ({ name: path.basename(filePath), value: filePath })),
+      pageSize: 15
+    }
+  ]);
+
+  return file;
+}
+
+/**
+ * Re-register the commands from a backup snapshot
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Restore options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {string} [options.file] - Backup file to restore; prompted for when omitted
+ * @param {string} [options.guildId] - Restore into this guild instead of the backup's own scope
+ * @param {boolean} [options.replace] - Bulk-overwrite the scope instead of creating commands one by one
+ * @param {boolean} [options.yes=false] - Skip the confirmation prompt
+ * @param {boolean} [options.backup=true] - Back up the current commands before restoring
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<boolean>} True if every command was restored
+ */
+async function restoreFromBackup(discordClient, options = {}) {
+  const { interactive = true, yes = false } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgGreen.black(' RESTORE FROM BACKUP ') + '\n');
+  printDryRunNotice(discordClient);
+
+  try {
+    const backupDir = getBackupDir(options);
+    const file = options.file || await promptBackupFile(backupDir);
+
+    if (!file) {
+      console.log(chalk.yellow(`⚠️  No backups found in ${backupDir}.`));
+      console.log(chalk.gray('└─ Backups are written automatically before commands are deleted.'));
+    } else {
+      const backup = readBackup(file);
+      const target = options.guildId
+        ? { scope: 'guild', guildId: options.guildId }
+        : { scope: backup.scope, guildId: backup.guildId };
+
+      console.log(chalk.green(`✅ Backup ${chalk.white(path.basename(file))} contains ${backup.commands.length} commands:`));
+      console.log(chalk.gray(`└─ Taken ${backup.createdAt} from ${describeTarget({ scope: backup.scope, guildId: backup.guildId })}`));
+      printCommandTable(backup.commands);
+
+      if (backup.commands.length === 0) {
+        console.log(chalk.yellow('⚠️  This backup has no commands to restore.'));
+      } else {
+        const replace = options.replace !== undefined ? options.replace : await promptRestoreMode();
+
+        // Warning visualization
+        console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow(`Restoring into ${describeTarget(target)}`));
+        console.log(chalk.gray(replace
+          ? '└─ Every existing command in this scope will be replaced by the backup'
+          : '└─ Commands with the same name will be overwritten, others are left alone'));
+        console.log();
+
+        const confirm = yes || await promptConfirm(`⚠️  Are you sure you want to restore ${backup.commands.length} commands?`);
+
+        if (confirm) {
+          const payloads = backup.commands.map(toCommandPayload);
+          let restoredCount;
+
+          // Adding overwrites commands with the same name, so both modes save the scope first
+          const current = await fetchTargetCommands(discordClient, target);
+          await backupCommandsBeforeChange(discordClient, current, target, options, 'restore');
+
+          if (replace) {
+            const registered = target.scope === 'guild'
+              ? await discordClient.bulkOverwriteGuildCommands(target.guildId, payloads)
+              : await discordClient.bulkOverwriteGlobalCommands(payloads);
+            restoredCount = registered.length;
+          } else {
+            ({ done: restoredCount } = await runCommandsWithProgress(
+              payloads,
+              payload => target.scope === 'guild'
+                ? discordClient.createGuildCommand(target.guildId, payload)
+                : discordClient.createGlobalCommand(payload),
+              'restore',
+              { discordClient }
+            ));
+          }
+
+          printOperationSummary(restoredCount, payloads.length, target.scope, 'restore', discordClient.dryRun);
+          success = restoredCount === payloads.length;
+        } else {
+          console.log(chalk.yellow('⚠️  Operation cancelled.'));
+        }
+      }
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to restore commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Ask the user how a backup should be restored
+ * @returns {Promise<boolean>} True to bulk-overwrite the scope, false to create commands one by one
+ */
+async function promptRestoreMode() {
+  const { mode } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'mode',
+      message: 'How do you want to restore the backup?',
+      choices: [
+        { name: 'Add the backed up commands (keeps other existing commands)', value: 'add' },
+        { name: 'Replace all commands in the scope (bulk overwrite)', value: 'replace' }
+      ]
+    }
+  ]);
+
+  return mode === 'replace';
+}
+
+/**
+ * Actions of the snapshot history screen
+ */
+const SNAPSHOT_ACTIONS = ['list', 'take', 'show', 'diff', 'rollback'];
+
+/**
+ * Print the snapshot history of a scope as a table
+ * @param {CommandSnapshot[]} history - Snapshots, newest first
+ */
+function printSnapshotTable(history) {
+  console.log();
+  console.log(chalk.cyan('  VERSION │ TAKEN                    │ REASON   │ COMMANDS'));
+  console.log(chalk.cyan('──────────┼──────────────────────────┼──────────┼─────────'));
+
+  history.forEach(snapshot => {
+    const version = chalk.white(`v${snapshot.version}`.padStart(7));
+    const taken = chalk.gray(snapshot.createdAt.padEnd(24));
+    const reason = chalk.blue(snapshot.reason.padEnd(8));
+    console.log(`  ${version} │ ${taken} │ ${reason} │ ${chalk.green(snapshot.commands.length)}`);
+  });
+  console.log();
+}
+
+/**
+ * Ask the user what to do with the snapshot history of a scope
+ * @param {boolean} hasSnapshots - Whether there are snapshots to show, compare or roll back to
+ * @returns {Promise<string>} One of SNAPSHOT_ACTIONS
+ */
+async function promptSnapshotAction(hasSnapshots) {
+  const choices = [
+    { name: 'Nothing, just view the history', value: 'list' },
+    { name: 'Take a snapshot now', value: 'take' }
+  ];
+  if (hasSnapshots) {
+    choices.push(
+      { name: 'Show the commands of a snapshot', value: 'show' },
+      { name: 'Compare two snapshots', value: 'diff' },
+      { name: 'Roll back to a snapshot', value: 'rollback' }
+    );
+  }
+
+  const { action } = await inquirer.prompt([
+    { type: 'list', name: 'action', message: 'What do you want to do?', choices }
+  ]);
+
+  return action;
+}
+
+/**
+ * Let the user pick a snapshot from the history
+ * @param {CommandSnapshot[]} history - Snapshots, newest first
+ * @param {string} message - Prompt message
+ * @param {boolean} [allowLive=false] - Offer the commands registered now as the first choice
+ * @returns {Promise<number|null>} Version of the chosen snapshot, or null for the live commands
+ */
+async function promptSnapshotVersion(history, message, allowLive = false) {
+  const choices = history.map(snapshot => ({
+    name: `v${snapshot.version}  ${snapshot.createdAt}  ${snapshot.reason} (${snapshot.commands.length} commands)`,
+    value: snapshot.version
+  }));
+  if (allowLive) choices.unshift({ name: 'The commands registered now', value: null });
+
+  const { version } = await inquirer.prompt([
+    { type: 'list', name: 'version', message, choices, pageSize: 15 }
+  ]);
+
+  return version;
+}
+
+/**
+ * Describe a snapshot for messages
+ * @param {?CommandSnapshot} snapshot - Snapshot, or null for the commands registered now
+ * @returns {string} E.g. 'v3 (2024-05-14T09:30:00.000Z, sync)'
+ */
+function describeSnapshot(snapshot) {
+  return snapshot ? `v${snapshot.version} (${snapshot.createdAt}, ${snapshot.reason})` : 'the commands registered now';
+}
+
+/**
+ * Browse, compare and roll back to the snapshots kept of a scope
+ * Snapshots are taken before every delete, sync, restore and rollback, and on demand
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Snapshot options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {CommandTarget} [options.target] - Scope whose history to use; prompted for when omitted
+ * @param {string} [options.action] - One of SNAPSHOT_ACTIONS; prompted for when omitted
+ * @param {string[]} [options.refs] - Snapshots for show, diff and rollback: version numbers, 'latest'
+ *   or dates; prompted for when omitted. Diff compares the first with the second, or with the
+ *   commands registered now when only one is given
+ * @param {boolean} [options.yes=false] - Skip the rollback confirmation prompt
+ * @param {string} [options.format='table'] - 'table' for the report, 'json' for list, show and diff output
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @param {boolean} [options.backup=true] - Back up the current commands before a rollback
+ * @returns {Promise<boolean>} True if the action succeeded
+ */
+async function snapshotHistory(discordClient, options = {}) {
+  const { interactive = true, yes = false, format = 'table', refs = [] } = options;
+  const json = format === 'json';
+  let success = true;
+
+  if (interactive) clearScreen();
+  if (!json) {
+    console.log(chalk.bgBlue.white(' SNAPSHOT HISTORY ') + '\n');
+    printDryRunNotice(discordClient);
+  }
+
+  try {
+    const target = options.target || await promptTarget('view the snapshots of', getDefaultGuildId(discordClient));
+    const scopeOptions = { guildId: target.guildId, backupDir: options.backupDir };
+    const history = await listSnapshots(discordClient, scopeOptions);
+
+    if (!json && (!options.action || options.action === 'list')) {
+      if (history.length > 0) {
+        console.log(chalk.green(`✅ Found ${history.length} snapshots of ${describeTarget(target)}:`));
+        printSnapshotTable(history);
+      } else {
+        console.log(chalk.yellow(`⚠️  No snapshots of ${describeTarget(target)} yet.`));
+        console.log(chalk.gray('└─ Snapshots are taken automatically before commands are deleted, synced, restored or rolled back.'));
+      }
+    }
+
+    const action = options.action || await promptSnapshotAction(history.length > 0);
+    if (['show', 'diff', 'rollback'].includes(action) && history.length === 0) {
+      throw new Error(`There are no snapshots of ${describeTarget(target)} yet`);
+    }
+
+    if (action === 'list') {
+      if (json) console.log(JSON.stringify(history.map(({ commands, ...snapshot }) => ({ ...snapshot, count: commands.length })), null, 2));
+    } else if (action === 'take' && discordClient.dryRun) {
+      console.log(chalk.gray('└─ Skipping snapshot (dry run)'));
+    } else if (action === 'take') {
+      // Start loading spinner
+      writeStatusLine('\n' + chalk.yellow(`Fetching ${describeTarget(target)}... `) + chalk.cyan('⟳'));
+
+      const snapshot = await takeSnapshot(discordClient, scopeOptions);
+
+      // Clear loading spinner
+      clearStatusLine();
+
+      console.log(chalk.green(`📸 Snapshot v${snapshot.version} of ${snapshot.commands.length} ${describeTarget(target)} saved to ${chalk.white(snapshot.file)}`));
+    } else if (action === 'show') {
+      const snapshot = findSnapshot(history, refs[0] ?? await promptSnapshotVersion(history, 'Select a snapshot to show:'));
+
+      if (json) {
+        console.log(JSON.stringify(snapshot, null, 2));
+      } else {
+        console.log(chalk.green(`✅ Snapshot ${describeSnapshot(snapshot)} contains ${snapshot.commands.length} commands:`));
+        printCommandTable(snapshot.commands);
+      }
+    } else if (action === 'diff') {
+      const from = refs[0] ?? await promptSnapshotVersion(history, 'Compare from which snapshot?');
+      const to = refs.length > 0 ? refs[1] : await promptSnapshotVersion(history, 'Compare with:', true);
+
+      // Start loading spinner
+      if (!json) writeStatusLine('\n' + chalk.yellow('Comparing snapshots... ') + chalk.cyan('⟳'));
+
+      const diff = await diffSnapshots(discordClient, { ...scopeOptions, from, to });
+
+      if (json) {
+        console.log(JSON.stringify({ target, ...diff, from: diff.from.version, to: diff.to ? diff.to.version : null }, null, 2));
+      } else {
+        // Clear loading spinner
+        clearStatusLine();
+
+        console.log(chalk.green(`✅ Changes from ${describeSnapshot(diff.from)} to ${describeSnapshot(diff.to)}:`));
+        console.log();
+        printCommandDiff(diff);
+      }
+    } else if (action === 'rollback') {
+      const snapshot = findSnapshot(history, refs[0] ?? await promptSnapshotVersion(history, 'Select a snapshot to roll back to:'));
+
+      // Start loading spinner
+      writeStatusLine('\n' + chalk.yellow(`Fetching ${describeTarget(target)}... `) + chalk.cyan('⟳'));
+
+      const current = await fetchTargetCommands(discordClient, target);
+
+      // Clear loading spinner
+      clearStatusLine();
+
+      console.log(chalk.cyan(`Rolling back to ${describeSnapshot(snapshot)} makes these changes:`));
+      printCommandDiff(diffCommandSets(current, snapshot.commands.map(toCommandPayload)));
       console.log();
-      console.log(chalk.yellow('Starting command deletion...'));
-      
-      let deletedCount = 0;
-      const totalCommands = commands.length;
-      
-      for (const [index, cmd] of commands.entries()) {
-        // Show progress
-        const progress = Math.round(((index) / totalCommands) * 100);
-        process.stdout.write(chalk.yellow(`Deleting command ${index + 1}/${totalCommands} (${progress}%)... `));
-        
-        const success = await discordClient.deleteGlobalCommand(cmd.id);
-        
-        // Clear the line
-        readline.clearLine(process.stdout, 0);
-        readline.cursorTo(process.stdout, 0);
-        
-        if (success) {
-          deletedCount++;
-          console.log(chalk.green(`✓ Successfully deleted command: ${chalk.white(cmd.name)} (${deletedCount}/${totalCommands})`));
+
+      // Warning visualization
+      console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow(`Rolling back replaces all ${describeTarget(target)}`));
+      console.log(chalk.gray('└─ Commands that are not in the snapshot will be removed'));
+      console.log();
+
+      const confirm = yes || await promptConfirm(`⚠️  Are you sure you want to roll back to snapshot v${snapshot.version}?`);
+
+      if (confirm) {
+        await backupCommandsBeforeChange(discordClient, current, target, options, 'rollback');
+        const result = await rollbackToSnapshot(discordClient, { ...scopeOptions, ref: snapshot.version, current, backup: false });
+
+        console.log();
+        const suffix = result.dryRun ? ' (simulated, nothing was changed)' : '';
+        console.log(chalk.bgGreen.black(' SUCCESS ') + ' ' + chalk.green(`Rolled ${describeTarget(target)} back to snapshot v${snapshot.version}${suffix}.`));
+      } else {
+        console.log(chalk.yellow('⚠️  Operation cancelled.'));
+      }
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to use the snapshot history:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Make the remote commands of a scope match a local definition set with one bulk overwrite
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {CommandTarget} [options.target] - Scope to sync; prompted for when omitted
+ * @param {string} [options.source] - Definitions file or directory; prompted for when omitted
+ * @param {boolean} [options.yes=false] - Skip the confirmation prompt
+ * @param {boolean} [options.backup=true] - Back up the current commands before overwriting
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<boolean>} True if the remote commands now match the definitions
+ */
+async function syncCommands(discordClient, options = {}) {
+  const { interactive = true, yes = false } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgMagenta.white(' SYNC COMMANDS ') + '\n');
+  printDryRunNotice(discordClient);
+
+  try {
+    const target = options.target || await promptTarget('sync', getDefaultGuildId(discordClient));
+    const source = options.source || await promptDefinitionsPath();
+
+    const definitions = loadCommandDefinitions(source);
+    const issues = lintCommandDefinitions(definitions);
+    const problems = issues.filter(issue => issue.severity === 'error').map(issue => issue.message);
+
+    if (problems.length > 0) {
+      success = false;
+      console.log(chalk.bgRed.white(' INVALID ') + ' ' + chalk.red(`Found ${problems.length} problems in ${source}:`));
+      problems.forEach(problem => console.log(chalk.gray('└─ ') + chalk.red(problem)));
+    } else if (definitions.length === 0) {
+      success = false;
+      console.log(chalk.yellow(`⚠️  No command definitions found in ${source}.`));
+      console.log(chalk.gray('└─ Use "delete" to remove every command from a scope.'));
+    } else {
+      // Start loading spinner
+      writeStatusLine('\n' + chalk.yellow(`Fetching ${describeTarget(target)}... `) + chalk.cyan('⟳'));
+
+      const remote = await fetchTargetCommands(discordClient, target);
+
+      // Clear loading spinner
+      clearStatusLine();
+
+      console.log(chalk.green(`✅ Loaded ${definitions.length} command definitions from ${chalk.white(source)}:`));
+      printCommandTable(definitions.map(command => ({ ...command, id: chalk.gray('(local)') })));
+      if (issues.length > 0) {
+        console.log(chalk.yellow(`⚠️  ${issues.length} warnings:`));
+        printLintIssues(issues);
+        console.log();
+      }
+
+      const { added, overwritten, removed } = planSync(remote, definitions);
+
+      console.log(chalk.cyan('Planned changes:'));
+      console.log(chalk.gray('└─ ') + chalk.green(`${added.length} new`) + chalk.gray(', ') +
+        chalk.yellow(`${overwritten.length} overwritten`) + chalk.gray(', ') +
+        chalk.red(`${removed.length} removed`));
+      removed.forEach(cmd => console.log(chalk.gray('   └─ ') + chalk.red(`- ${cmd.name}`)));
+      console.log();
+
+      // Warning visualization
+      console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow(`Syncing replaces all ${describeTarget(target)}`));
+      console.log(chalk.gray('└─ Commands not in the definitions will be removed'));
+      console.log();
+
+      const confirm = yes || await promptConfirm(`⚠️  Are you sure you want to overwrite ${describeTarget(target)}?`);
+
+      if (confirm) {
+        await backupCommandsBeforeChange(discordClient, remote, target, options, 'sync');
+        const result = await syncCommandSet(discordClient, { guildId: target.guildId, definitions, current: remote, backup: false });
+
+        console.log();
+        const suffix = result.dryRun ? ' (simulated, nothing was changed)' : '';
+        console.log(chalk.bgGreen.black(' SUCCESS ') + ' ' + chalk.green(`Synced ${result.commands.length} ${target.scope} commands${suffix}.`));
+      } else {
+        console.log(chalk.yellow('⚠️  Operation cancelled.'));
+      }
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to sync commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Ask the user where the command definitions are
+ * @returns {Promise<string>} Definitions file or directory
+ */
+async function promptDefinitionsPath() {
+  const { source } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'source',
+      message: 'Path to a definitions file or directory:',
+      default: process.env.COMMANDS_PATH || 'commands',
+      validate: input => fs.existsSync(input) || `${input} does not exist`
+    }
+  ]);
+
+  return source;
+}
+
+/**
+ * Print linter issues, errors in red and warnings in yellow
+ * @param {LintIssue[]} issues - Issues to print
+ */
+function printLintIssues(issues) {
+  issues.forEach(issue => {
+    console.log(chalk.gray('└─ ') + (issue.severity === 'error' ? chalk.red(`✗ ${issue.message}`) : chalk.yellow(`⚠ ${issue.message}`)));
+  });
+}
+
+/**
+ * Ask the user whether to lint local definitions or registered commands
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @returns {Promise<{source?: string, target?: CommandTarget}>} What to lint
+ */
+async function promptLintSubject(discordClient) {
+  const { subject } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'subject',
+      message: 'What do you want to check?',
+      choices: [
+        { name: 'Local command definitions', value: 'definitions' },
+        { name: 'Commands registered with Discord', value: 'registered' }
+      ]
+    }
+  ]);
+
+  return subject === 'definitions'
+    ? { source: await promptDefinitionsPath() }
+    : { target: await promptTarget('check', getDefaultGuildId(discordClient)) };
+}
+
+/**
+ * Check local definitions or registered commands against Discord's rules and limits
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Lint options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {string} [options.source] - Definitions file or directory to check
+ * @param {CommandTarget} [options.target] - Registered commands to check; with neither source
+ *   nor target, the user is asked
+ * @param {string} [options.format='table'] - 'table' for the report, 'json' for machine-readable issues
+ * @returns {Promise<boolean>} True if nothing Discord would reject was found
+ */
+async function lintCommands(discordClient, options = {}) {
+  const { interactive = true, format = 'table' } = options;
+  const json = format === 'json';
+  let success = true;
+
+  if (interactive) clearScreen();
+  if (!json) console.log(chalk.bgMagenta.white(' LINT COMMANDS ') + '\n');
+
+  try {
+    const { source, target } = options.source || options.target ? options : await promptLintSubject(discordClient);
+    let commands;
+    let label;
+
+    if (source) {
+      commands = loadCommandDefinitions(source);
+      label = `${commands.length} command definitions from ${chalk.white(source)}`;
+    } else {
+      // Start loading spinner
+      if (!json) writeStatusLine('\n' + chalk.yellow(`Fetching ${describeTarget(target)}... `) + chalk.cyan('⟳'));
+
+      // The issues are printed below, so skip the client's own limit warnings
+      const checkLimits = discordClient.checkLimits;
+      discordClient.checkLimits = false;
+      try {
+        commands = await fetchTargetCommands(discordClient, target);
+      } finally {
+        discordClient.checkLimits = checkLimits;
+      }
+      label = `${commands.length} ${describeTarget(target)}`;
+
+      // Clear loading spinner
+      if (!json) clearStatusLine();
+    }
+
+    const issues = lintCommandDefinitions(commands);
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    success = errorCount === 0;
+
+    if (json) {
+      console.log(JSON.stringify({ source: source || null, target: target || null, commands: commands.length, issues }, null, 2));
+    } else if (issues.length === 0) {
+      console.log(chalk.green(`✅ No problems found in ${label}.`));
+    } else {
+      const color = errorCount > 0 ? chalk.red : chalk.yellow;
+      console.log(color(`Found ${errorCount} errors and ${issues.length - errorCount} warnings in ${label}:`));
+      printLintIssues(issues);
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to lint commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Compare the remote commands of a scope with a local definition set
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Diff options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {CommandTarget} [options.target] - Scope to compare; prompted for when omitted
+ * @param {string} [options.source] - Definitions file or directory; prompted for when omitted
+ * @param {string} [options.format='table'] - 'table' for the colorized view, 'json' for machine-readable output
+ * @returns {Promise<boolean>} True if the diff was produced
+ */
+async function diffCommands(discordClient, options = {}) {
+  const { interactive = true, format = 'table' } = options;
+  const json = format === 'json';
+  let success = true;
+
+  if (interactive) clearScreen();
+  if (!json) console.log(chalk.bgCyan.black(' DIFF COMMANDS ') + '\n');
+
+  try {
+    const target = options.target || await promptTarget('compare', getDefaultGuildId(discordClient));
+    const source = options.source || await promptDefinitionsPath();
+
+    const definitions = loadCommandDefinitions(source);
+
+    // Start loading spinner
+    if (!json) writeStatusLine('\n' + chalk.yellow(`Fetching ${describeTarget(target)}... `) + chalk.cyan('⟳'));
+
+    const remote = await fetchTargetCommands(discordClient, target);
+    const diff = diffCommandSets(remote, definitions);
+
+    if (json) {
+      console.log(JSON.stringify({ target, source, ...diff }, null, 2));
+    } else {
+      // Clear loading spinner
+      clearStatusLine();
+
+      console.log(chalk.green(`✅ Compared ${remote.length} ${describeTarget(target)} with ${definitions.length} definitions from ${chalk.white(source)}:`));
+      console.log();
+      printCommandDiff(diff);
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to diff commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * How each kind of analysis finding is shown
+ */
+const FINDING_LABELS = {
+  duplicate: { badge: chalk.bgYellow.black(' DUPLICATE '), plural: 'duplicates' },
+  collision: { badge: chalk.bgRed.white(' COLLISION '), plural: 'collisions' },
+  orphan: { badge: chalk.bgMagenta.white(' ORPHAN    '), plural: 'orphans' }
+};
+
+/**
+ * Count analysis findings by kind
+ * @param {AnalysisFinding[]} findings - Findings to count
+ * @returns {string} E.g. "2 duplicates, 1 orphans", or an empty string
+ */
+function summarizeFindings(findings) {
+  return Object.entries(FINDING_LABELS)
+    .map(([kind, label]) => [findings.filter(finding => finding.kind === kind).length, label.plural])
+    .filter(([count]) => count > 0)
+    .map(([count, plural]) => `${count} ${plural}`)
+    .join(', ');
+}
+
+/**
+ * Print analysis findings, one line per flagged command
+ * @param {AnalysisFinding[]} findings - Findings to print
+ * @param {Map<string, string>} guildNames - Guild names by ID
+ */
+function printAnalysisFindings(findings, guildNames) {
+  findings.forEach(({ kind, target, command, changes }) => {
+    const where = target.scope === 'guild'
+      ? `${guildNames.get(target.guildId) || target.guildId} ${chalk.gray(`(${target.guildId})`)}`
+      : 'global';
+    const reason = {
+      duplicate: 'identical copy of the global command',
+      collision: `differs from the global command in ${changes?.length} fields`,
+      orphan: 'not in the definitions'
+    }[kind];
+    console.log(`  ${FINDING_LABELS[kind].badge} ${chalk.green(command.name.padEnd(20))} ${chalk.blue(command.id)} ${chalk.white(where)}`);
+    console.log(chalk.gray(`     └─ ${reason}`));
+  });
+}
+
+/**
+ * Ask the user whether to also look for commands missing from a definition set
+ * @returns {Promise<string|null>} Definitions file or directory, or null to skip
+ */
+async function promptOptionalDefinitionsPath() {
+  const { compare } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'compare',
+      message: 'Also flag commands that are not in a local definitions file?',
+      default: false
+    }
+  ]);
+
+  return compare ? promptDefinitionsPath() : null;
+}
+
+/**
+ * Let the user pick which flagged commands to delete
+ * @param {AnalysisFinding[]} findings - Findings to choose from
+ * @returns {Promise<AnalysisFinding[]>} Findings chosen for cleanup
+ */
+async function promptFindingSelection(findings) {
+  const { picked } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'picked',
+      message: 'Select flagged commands to delete (space to toggle, enter to confirm):',
+      choices: findings.map((finding, index) => ({
+        name: `${finding.kind.padEnd(9)} ${finding.command.name} ${chalk.gray(`(${finding.target.scope === 'guild' ? finding.target.guildId : 'global'})`)}`,
+        value: index,
+        checked: finding.kind !== 'collision'
+      })),
+      pageSize: 15
+    }
+  ]);
+
+  return findings.filter((finding, index) => picked.includes(index));
+}
+
+/**
+ * Find commands registered both globally and in guilds, and commands missing from local
+ * definitions, then offer to delete only those
+ * Duplicates and collisions are cleaned up by deleting the guild copy; the global command stays
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Analyze options
+ * @param {boolean} [options.interactive=true] - Clear the screen, prompt for missing input and wait for Enter when done
+ * @param {boolean} [options.yes=false] - Skip the confirmation prompt
+ * @param {GuildSource} [options.guilds] - Guilds to check; prompted for when omitted
+ * @param {string|null} [options.source] - Definitions to find orphans with; prompted for when omitted
+ * @param {boolean} [options.clean=false] - Delete the flagged commands without asking which (non-interactive)
+ * @param {string} [options.format='table'] - 'table' for the report, 'json' for machine-readable findings
+ * @returns {Promise<boolean>} True if every guild was analyzed and every chosen command was deleted
+ */
+async function analyzeCommands(discordClient, options = {}) {
+  const { interactive = true, yes = false, clean = false, format = 'table' } = options;
+  const json = format === 'json';
+  let success = true;
+
+  if (interactive) clearScreen();
+  if (!json) {
+    console.log(chalk.bgCyan.black(' ANALYZE COMMANDS ') + '\n');
+    printDryRunNotice(discordClient);
+  }
+
+  try {
+    const guilds = await resolveGuilds(discordClient, options.guilds || await promptGuildSource(discordClient));
+    const source = options.source !== undefined || !interactive ? options.source || null : await promptOptionalDefinitionsPath();
+
+    // Start loading spinner
+    if (!json) writeStatusLine('\n' + chalk.yellow(`Fetching global commands and ${guilds.length} guilds... `) + chalk.cyan('⟳'));
+
+    const analysis = await analyzeCommandScopes(discordClient, { guildIds: guilds.map(guild => guild.id), source });
+    const guildNames = new Map(guilds.map(guild => [guild.id, guild.name]));
+    if (analysis.guilds.some(guild => guild.error)) success = false;
+
+    if (json) {
+      console.log(JSON.stringify({
+        source,
+        global: analysis.global.length,
+        guilds: analysis.guilds.map(({ guildId, commands, error }) => ({ guildId, name: guildNames.get(guildId), count: commands.length, error: error ? error.message : null })),
+        findings: analysis.findings.map(({ kind, target, command, changes }) => ({
+          kind,
+          ...target,
+          name: command.name,
+          type: command.type || COMMAND_TYPES.CHAT_INPUT,
+          id: command.id,
+          ...(changes && { changes })
+        }))
+      }, null, 2));
+    } else {
+      // Clear loading spinner
+      clearStatusLine();
+
+      const orphans = analysis.findings.filter(finding => finding.kind === 'orphan' && finding.target.scope === 'global');
+      console.log(chalk.green(`✅ Checked ${analysis.global.length} global commands against ${guilds.length} guilds` + (source ? ` and ${chalk.white(source)}:` : ':')));
+      if (orphans.length > 0) console.log(chalk.gray(`└─ Global: ${summarizeFindings(orphans)}`));
+      printGuildReport(analysis.guilds.map(({ guildId, commands, error }) => {
+        const flagged = analysis.findings.filter(finding => finding.target.guildId === guildId);
+        return {
+          id: guildId,
+          name: guildNames.get(guildId),
+          count: commands.length,
+          error: error && describeGuildFailure(error),
+          result: flagged.length > 0 ? chalk.yellow(summarizeFindings(flagged)) : chalk.green('✓ nothing flagged')
+        };
+      }));
+
+      if (analysis.findings.length === 0) {
+        console.log(chalk.green('✅ No duplicates, collisions or orphans found.'));
+      } else {
+        console.log(chalk.cyan(`Flagged commands (${summarizeFindings(analysis.findings)}):`));
+        printAnalysisFindings(analysis.findings, guildNames);
+        console.log();
+
+        const chosen = interactive ? await promptFindingSelection(analysis.findings) : clean ? analysis.findings : [];
+        if (!interactive && !clean) {
+          console.log(chalk.gray('└─ Run again with --clean --yes to delete the flagged commands.'));
+        } else if (chosen.length === 0) {
+          console.log(chalk.yellow('⚠️  No commands selected.'));
         } else {
-          console.log(chalk.red(`✗ Failed to delete command: ${chalk.white(cmd.name)} (${index + 1}/${totalCommands})`));
+          success = await cleanUpFindings(discordClient, analysis, chosen, { ...options, yes }) && success;
         }
       }
-      
-      // Final summary with visual indicator
+    }
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to analyze commands:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Confirm and delete the commands of the chosen findings, scope by scope
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {CommandAnalysis} analysis - Analysis the findings come from; its commands are backed up
+ * @param {AnalysisFinding[]} chosen - Findings whose commands are deleted
+ * @param {Object} options - Deletion options (see deleteGuildCommands)
+ * @returns {Promise<boolean>} True if every chosen command was deleted (or the user cancelled)
+ */
+async function cleanUpFindings(discordClient, analysis, chosen, options) {
+  const groups = new Map();
+  chosen.forEach(({ target, command }) => {
+    const key = target.guildId || 'global';
+    if (!groups.has(key)) groups.set(key, { target, targets: [] });
+    groups.get(key).targets.push(command);
+  });
+  groups.forEach(group => {
+    group.targets = withoutEntryPoint(group.targets, {}, options.includeEntryPoint);
+  });
+  const totalTargets = [...groups.values()].reduce((sum, group) => sum + group.targets.length, 0);
+  if (totalTargets === 0) return true;
+
+  // Warning visualization
+  console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow('Deleting commands is irreversible'));
+  console.log(chalk.gray(`└─ ${totalTargets} flagged commands will be removed from ${groups.size} scopes`));
+  console.log();
+
+  const confirm = options.yes || await promptConfirm(`⚠️  Are you sure you want to delete ${totalTargets} flagged commands?`);
+  if (!confirm) {
+    console.log(chalk.yellow('⚠️  Operation cancelled.'));
+    return true;
+  }
+
+  let deletedCount = 0;
+  for (const { target, targets } of groups.values()) {
+    if (targets.length === 0) continue;
+    const current = target.scope === 'guild'
+      ? analysis.guilds.find(guild => guild.guildId === target.guildId).commands
+      : analysis.global;
+
+    console.log();
+    console.log(chalk.bgBlue.white(target.scope === 'guild' ? ' GUILD ' : ' GLOBAL ') + ` ${chalk.cyan(target.guildId || 'global commands')}`);
+    await backupCommandsBeforeChange(discordClient, current, target, options, 'delete');
+    const { done } = await deleteCommandsWithRetry(discordClient, targets, cmd => deleteTargetCommand(discordClient, target, cmd), options);
+    deletedCount += done;
+  }
+
+  printOperationSummary(deletedCount, totalTargets, 'flagged', 'delete', discordClient.dryRun);
+  return deletedCount === totalTargets;
+}
+
+/**
+ * Ask the user how to watch commands
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @returns {Promise<Object>} Watch options (source, guilds, guildSource, intervalMs, fix, webhookUrl)
+ */
+async function promptWatchOptions(discordClient) {
+  console.log(chalk.cyan('Desired global commands:'));
+  const source = await promptDefinitionsPath();
+
+  const { watchGuilds } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'watchGuilds',
+      message: 'Also watch guild commands?',
+      default: false
+    }
+  ]);
+
+  let guilds = null;
+  let guildSource = null;
+  if (watchGuilds) {
+    guilds = await promptGuildSource(discordClient);
+    const { file } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'file',
+        message: 'Definitions the guilds should have (leave empty if they should have none):',
+        validate: input => input === '' || fs.existsSync(input) || `${input} does not exist`
+      }
+    ]);
+    guildSource = file || null;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'interval',
+      message: 'Seconds between checks:',
+      default: String(DEFAULT_WATCH_INTERVAL_MS / 1000),
+      validate: input => validateWatchInterval(input)
+    },
+    {
+      type: 'list',
+      name: 'mode',
+      message: 'What should happen when the commands drift?',
+      choices: [
+        { name: 'Only alert', value: 'alert' },
+        { name: 'Alert and fix the drift', value: 'fix' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'webhookUrl',
+      message: 'Webhook URL to post alerts to (leave empty to only print them):',
+      validate: input => input === '' || validateWebhookUrl(input)
+    }
+  ]);
+
+  return {
+    source,
+    guilds,
+    guildSource,
+    intervalMs: Number(answers.interval) * 1000,
+    fix: answers.mode === 'fix',
+    webhookUrl: answers.webhookUrl || null
+  };
+}
+
+/**
+ * Validate a watch interval
+ * @param {string} seconds - Interval given by the user, in seconds
+ * @returns {true|string} True if valid, otherwise an error message
+ */
+function validateWatchInterval(seconds) {
+  return /^[1-9]\d*$/.test(seconds) && Number(seconds) * 1000 >= MIN_WATCH_INTERVAL_MS
+    || `The interval must be a whole number of at least ${MIN_WATCH_INTERVAL_MS / 1000} seconds`;
+}
+
+/**
+ * Validate a webhook URL
+ * @param {string} url - URL given by the user
+ * @returns {true|string} True if valid, otherwise an error message
+ */
+function validateWebhookUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol) || 'The webhook URL must start with http:// or https://';
+  } catch {
+    return `Invalid webhook URL: ${url}`;
+  }
+}
+
+/**
+ * Load a desired command set and refuse it if Discord would reject it
+ * @param {string} source - Definitions file or directory, or a backup snapshot
+ * @returns {Array} Command definitions
+ */
+function loadDesiredCommands(source) {
+  const definitions = loadCommandDefinitions(source);
+  const problems = validateCommandDefinitions(definitions);
+  if (problems.length > 0) {
+    throw new Error(`Found ${problems.length} problems in ${source}: ${problems.join('; ')}`);
+  }
+  return definitions;
+}
+
+/**
+ * Print the outcome of a drifted scope
+ * @param {DriftCheck} result - Drifted scope
+ */
+function printDrift(result) {
+  const counts = [
+    result.diff.removed.length > 0 && `${result.diff.removed.length} stray`,
+    result.diff.added.length > 0 && `${result.diff.added.length} missing`,
+    result.diff.changed.length > 0 && `${result.diff.changed.length} changed`
+  ].filter(Boolean).join(', ');
+
+  console.log(chalk.bgYellow.black(' DRIFT ') + ' ' + chalk.yellow(`${describeTarget(result.target)}: ${counts}`));
+  result.diff.removed.forEach(cmd => console.log(chalk.gray('└─ ') + chalk.red(`- ${cmd.name}`) + chalk.gray(` stray (${cmd.id})`)));
+  result.diff.added.forEach(cmd => console.log(chalk.gray('└─ ') + chalk.green(`+ ${cmd.name}`) + chalk.gray(' missing')));
+  result.diff.changed.forEach(cmd => console.log(chalk.gray('└─ ') + chalk.yellow(`~ ${cmd.name}`) + chalk.gray(` ${cmd.changes.length} changed fields`)));
+  if (result.fixed) {
+    console.log(chalk.gray('└─ ') + chalk.green('✓ Fixed'));
+  } else if (result.error) {
+    console.log(chalk.gray('└─ ') + chalk.red(`✗ Could not fix: ${result.error.message}`));
+  }
+}
+
+/**
+ * Watch global and guild commands on an interval, alerting on drift from the desired state and
+ * optionally fixing it, until SIGINT or SIGTERM
+ * Guilds without definitions of their own are expected to have no commands, so any command
+ * registered there by hand counts as stray
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Watch options
+ * @param {boolean} [options.interactive=true] - Prompt for missing input and wait for Enter when done
+ * @param {boolean} [options.yes=false] - Skip the confirmation prompt before fixing drift automatically
+ * @param {string} [options.source] - Desired global commands: definitions or a backup snapshot
+ * @param {GuildSource} [options.guilds] - Guilds to watch as well
+ * @param {string} [options.guildSource] - Desired commands of every watched guild
+ * @param {number} [options.intervalMs] - Time between checks (defaults to DEFAULT_WATCH_INTERVAL_MS)
+ * @param {boolean} [options.fix=false] - Make drifted scopes match their desired state
+ * @param {string} [options.webhookUrl] - URL drift alerts are posted to
+ * @param {number} [options.maxChecks] - Stop after this many checks (e.g. 1 for a scheduled run)
+ * @returns {Promise<boolean>} True if every check succeeded and no drift was left unfixed
+ */
+async function watchCommands(discordClient, options = {}) {
+  const { interactive = true, yes = false } = options;
+  let success = true;
+
+  if (interactive) clearScreen();
+  console.log(chalk.bgBlue.white(' WATCH COMMANDS ') + '\n');
+  printDryRunNotice(discordClient);
+
+  try {
+    const settings = options.source ? options : { ...options, ...await promptWatchOptions(discordClient) };
+    const { intervalMs = DEFAULT_WATCH_INTERVAL_MS, fix = false, webhookUrl = null } = settings;
+
+    const desired = [{ target: { scope: 'global' }, definitions: loadDesiredCommands(settings.source) }];
+    const guildDefinitions = settings.guildSource ? loadDesiredCommands(settings.guildSource) : [];
+    const guilds = settings.guilds ? await resolveGuilds(discordClient, settings.guilds) : [];
+    guilds.forEach(guild => desired.push({ target: { scope: 'guild', guildId: guild.id }, definitions: guildDefinitions }));
+
+    console.log(chalk.cyan('Watching:'));
+    console.log(chalk.gray('└─ ') + chalk.white(`global commands → ${desired[0].definitions.length} commands from ${settings.source}`));
+    guilds.forEach(guild => console.log(chalk.gray('└─ ') + chalk.white(`${guild.name} ${chalk.gray(`(${guild.id})`)} → ` +
+      (settings.guildSource ? `${guildDefinitions.length} commands from ${settings.guildSource}` : 'no commands'))));
+    console.log(chalk.gray(`└─ Every ${intervalMs / 1000} seconds; on drift: ${fix ? 'alert and fix' : 'alert'}` + (webhookUrl ? `, posting to ${webhookUrl}` : '')));
+    console.log();
+
+    if (fix && !yes) {
+      console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow('Fixing drift overwrites or deletes commands without asking again'));
+      console.log(chalk.gray('└─ Every scope is backed up before it is changed, unless backups are turned off'));
       console.log();
-      if (deletedCount === totalCommands) {
-        console.log(chalk.bgGreen.black(' SUCCESS ') + ' ' + chalk.green(`Deleted all ${deletedCount} global commands.`));
-      } else if (deletedCount > 0) {
-        console.log(chalk.bgYellow.black(' PARTIAL ') + ' ' + chalk.yellow(`Deleted ${deletedCount}/${totalCommands} global commands.`));
-        console.log(chalk.gray(`└─ ${totalCommands - deletedCount} commands failed to delete.`));
+      if (!await promptConfirm('⚠️  Fix drift automatically while watching?')) {
+        console.log(chalk.yellow('⚠️  Operation cancelled.'));
+        if (interactive) await promptContinue();
+        return true;
+      }
+    }
+
+    const watcher = watchCommandState(discordClient, { ...settings, desired, intervalMs, fix, webhookUrl });
+    const onSignal = signal => {
+      clearStatusLine();
+      console.log(chalk.yellow(`\n⚠️  Received ${signal}, stopping after the current check...`));
+      watcher.stop();
+    };
+    const onDrift = ({ result }) => printDrift(result);
+    const onCheck = ({ check, results }) => {
+      const time = new Date().toLocaleTimeString();
+      const failed = results.filter(result => result.error && !result.drifted);
+      failed.forEach(result => console.log(chalk.red(`✗ Could not check ${describeTarget(result.target)}: ${result.error.message}`)));
+      if (results.every(result => !result.drifted && !result.error)) {
+        console.log(chalk.gray(`[${time}] Check ${check}: `) + chalk.green(`✓ ${results.length} scopes match the desired state`));
       } else {
-        console.log(chalk.bgRed.white(' FAILED ') + ' ' + chalk.red(`Failed to delete any global commands.`));
+        console.log(chalk.gray(`[${time}] Check ${check}: `) + chalk.yellow(`${results.filter(result => result.drifted).length} drifted, ${failed.length} failed`));
       }
-    } else {
-      console.log(chalk.yellow('⚠️  Operation cancelled.'));
+    };
+
+    // Per-request messages and limit warnings would repeat on every check
+    const { quiet, checkLimits } = discordClient;
+    discordClient.quiet = true;
+    discordClient.checkLimits = false;
+    discordClient.on('drift', onDrift);
+    discordClient.on('watchCheck', onCheck);
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    if (settings.maxChecks !== 1) console.log(chalk.gray('Press Ctrl+C to stop watching.\n'));
+
+    let summary;
+    try {
+      summary = await watcher.finished;
+    } finally {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      discordClient.off('drift', onDrift);
+      discordClient.off('watchCheck', onCheck);
+      discordClient.quiet = quiet;
+      discordClient.checkLimits = checkLimits;
     }
+
+    success = summary.errors === 0 && summary.fixes === summary.drifts;
+    console.log();
+    const suffix = discordClient.dryRun ? ' (simulated, nothing was changed)' : '';
+    console.log((success ? chalk.bgGreen.black(' STOPPED ') : chalk.bgYellow.black(' STOPPED ')) + ' ' +
+      chalk.white(`${summary.checks} checks: ${summary.drifts} drifts found, ${summary.fixes} fixed${suffix}, ${summary.errors} failed.`));
   } catch (error) {
-    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to delete global commands:`));
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to watch commands:`));
     console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
   }
-  
-  await promptContinue();
+
+  if (interactive) await promptContinue();
+  return success;
 }
 
 /**
- * List all guild commands for the bot
+ * Serve the local dashboard and its JSON API until SIGINT or SIGTERM
  * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Dashboard options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {number} [options.port] - Port on 127.0.0.1 (defaults to DEFAULT_DASHBOARD_PORT)
+ * @param {string} [options.token] - Access token (defaults to DASHBOARD_TOKEN, or a random one)
+ * @param {string} [options.backupDir] - Directory for backups (defaults to BACKUP_DIR or ./backups)
+ * @returns {Promise<boolean>} True if the dashboard ran and stopped cleanly
  */
-async function listGuildCommands(discordClient) {
-  clearScreen();
-  console.log(chalk.bgCyan.black(' GUILD COMMANDS ') + '\n');
+async function serveDashboard(discordClient, options = {}) {
+  const { interactive = true, port = DEFAULT_DASHBOARD_PORT } = options;
+  const fixedToken = options.token || process.env.DASHBOARD_TOKEN;
+  const token = fixedToken || crypto.randomBytes(24).toString('hex');
+  let success = true;
 
+  if (interactive) clearScreen();
+  console.log(chalk.bgBlue.white(' DASHBOARD ') + '\n');
+  printDryRunNotice(discordClient);
+
+  const server = createDashboardServer(discordClient, { token, backupDir: options.backupDir });
+  const onHandled = ({ method, path: requestPath, status }) => {
+    const color = status < 400 ? chalk.green : status < 500 ? chalk.yellow : chalk.red;
+    console.log(chalk.gray(`[${new Date().toLocaleTimeString()}] `) + color(String(status)) + ' ' + chalk.cyan(method.padEnd(6)) + ' ' + chalk.white(requestPath));
+  };
+
+  // Every API call would print its own success message next to the request log
+  const quiet = discordClient.quiet;
+  discordClient.quiet = true;
   try {
-    console.log(chalk.yellow('To list guild commands, you need to provide the Guild ID of your Discord server.'));
-    console.log(chalk.gray('└─ You can find the Guild ID by enabling Developer Mode in Discord, then right-clicking on your server.'));
-    console.log();
-    
-    const { guildId } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'guildId',
-        message: 'Enter Guild ID:',
-        validate: input => /^\d+$/.test(input) || 'Please enter a valid Guild ID (numbers only)'
-      }
-    ]);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+    });
+    server.on('handled', onHandled);
+
+    const address = `http://127.0.0.1:${server.address().port}`;
+    console.log(chalk.green(`✅ Dashboard running at ${chalk.white(`${address}/#token=${token}`)}`));
+    console.log(chalk.gray(`└─ JSON API under ${address}/api; send the header "Authorization: Bearer <token>"`));
+    if (!fixedToken) console.log(chalk.gray('└─ The token changes on every start; set DASHBOARD_TOKEN to keep it.'));
+    console.log(chalk.gray('\nPress Ctrl+C to stop the dashboard.\n'));
+
+    const signal = await new Promise(resolve => {
+      const onSignal = name => {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+        resolve(name);
+      };
+      process.on('SIGINT', onSignal);
+      process.on('SIGTERM', onSignal);
+    });
+
+    console.log(chalk.yellow(`\n⚠️  Received ${signal}, stopping the dashboard...`));
+    server.off('handled', onHandled);
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    console.log(chalk.bgGreen.black(' STOPPED ') + ' ' + chalk.green('Dashboard stopped.'));
+  } catch (error) {
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to run the dashboard:`));
+    console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.code === 'EADDRINUSE' ? `Port ${port} is already in use; pick another with --port` : error.message));
+  } finally {
+    discordClient.quiet = quiet;
+  }
+
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Show the full tree of one or more commands as Discord stored them
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - Inspect options
+ * @param {boolean} [options.interactive=true] - Clear the screen and wait for Enter when done
+ * @param {CommandTarget} [options.target] - Commands to inspect; prompted for when omitted
+ * @param {CommandSelection} [options.selection] - Commands to show; prompted for when omitted
+ * @param {string} [options.format='table'] - 'table' for the tree view, 'json' for the raw objects
+ * @returns {Promise<boolean>} True if every selected command was found and shown
+ */
+async function inspectCommand(discordClient, options = {}) {
+  const { interactive = true, format = 'table' } = options;
+  const json = format === 'json';
+  let success = true;
+
+  if (interactive) clearScreen();
+  if (!json) console.log(chalk.bgCyan.black(' INSPECT COMMAND ') + '\n');
+
+  try {
+    const target = options.target || await promptTarget('inspect', getDefaultGuildId(discordClient));
 
     // Start loading spinner
-    process.stdout.write('\n' + chalk.yellow(`Fetching commands for Guild ID ${guildId}... `) + chalk.cyan('⟳'));
-    
-    const commands = await discordClient.getGuildCommands(guildId);
-    
+    if (!json) writeStatusLine('\n' + chalk.yellow(`Fetching ${describeTarget(target)}... `) + chalk.cyan('⟳'));
+
+    const commands = await fetchTargetCommands(discordClient, target);
+
     // Clear loading spinner
-    readline.clearLine(process.stdout, 0);
-    readline.cursorTo(process.stdout, 0);
-    
-    if (commands.length === 0) {
-      console.log(chalk.yellow(`⚠️  No commands found for Guild ID ${guildId}.`));
-      console.log(chalk.gray('└─ This guild has no slash commands registered for your bot.'));
+    if (!json) {
+      clearStatusLine();
+    }
+
+    let selected;
+    if (hasSelection(options.selection)) {
+      selected = filterCommands(commands, options.selection);
+      if (!json) warnUnmatchedSelection(commands, options.selection);
+      success = selected.length > 0;
+    } else if (commands.length > 0) {
+      selected = [await promptInspectCommand(commands)];
     } else {
-      console.log(chalk.green(`✅ Found ${commands.length} commands for Guild ID ${guildId}:`));
-      
-      // Create a formatted table
-      console.log();
-      console.log(chalk.cyan('  # │ ') + chalk.cyan('NAME') + ' '.repeat(15) + chalk.cyan('│ COMMAND ID'));
-      console.log(chalk.cyan('────┼──────────────────────┼─────────────────────'));
-      
-      commands.forEach((cmd, i) => {
-        const index = chalk.white(`${i + 1}`.padStart(3));
-        const name = chalk.green(cmd.name.padEnd(20));
-        const id = chalk.blue(cmd.id);
-        console.log(`  ${index} │ ${name} │ ${id}`);
-        
-        // If command has a description, show it indented
-        if (cmd.description) {
-          console.log(`     │ ${chalk.gray('└─ ' + cmd.description.slice(0, 50) + (cmd.description.length > 50 ? '...' : ''))} │`);
-        }
-      });
-      console.log();
-      
-      // Show guild info
-      console.log(chalk.bgBlue.white(' GUILD INFO ') + ` Commands belong to Guild ID: ${chalk.cyan(guildId)}`);
+      selected = [];
+    }
+
+    if (json) {
+      console.log(JSON.stringify(selected, null, 2));
+    } else if (commands.length === 0) {
+      console.log(chalk.yellow(`⚠️  No ${describeTarget(target)} found.`));
+    } else {
+      selected.forEach(printCommandDetails);
     }
   } catch (error) {
-    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to list guild commands:`));
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to inspect commands:`));
     console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
-    if (error.message.includes('Unknown Guild')) {
-      console.error(chalk.yellow('  └─ Cause: ') + chalk.red('The Guild ID you provided does not exist or the bot does not have access to it.'));
-      console.error(chalk.yellow('  └─ Fix: ') + chalk.white('Make sure the Guild ID is correct and the bot is a member of the guild.'));
-    }
   }
 
-  await promptContinue();
+  if (interactive) await promptContinue();
+  return success;
 }
 
 /**
- * Delete all guild commands for the bot
+ * Browse the audit log of destructive actions
  * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {Object} [options] - History options
+ * @param {boolean} [options.interactive=true] - Prompt for filters and entries to show in full
+ * @param {AuditFilter} [options.filter] - Filter criteria; prompted for when omitted
+ * @param {string} [options.format='table'] - 'table' or 'json'
+ * @returns {Promise<boolean>} True if the log could be read
  */
-async function deleteGuildCommands(discordClient) {
-  clearScreen();
-  console.log(chalk.bgRed.white(' DELETE GUILD COMMANDS ') + '\n');
+async function viewHistory(discordClient, options = {}) {
+  const { interactive = true, format = 'table' } = options;
+  const json = format === 'json';
+  const filePath = discordClient.auditLog || getAuditLogPath();
+  let success = true;
 
-  try {
-    console.log(chalk.yellow('To delete guild commands, you need to provide the Guild ID of your Discord server.'));
-    console.log(chalk.gray('└─ You can find the Guild ID by enabling Developer Mode in Discord, then right-clicking on your server.'));
-    console.log();
-    
-    const { guildId } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'guildId',
-        message: 'Enter Guild ID:',
-        validate: input => /^\d+$/.test(input) || 'Please enter a valid Guild ID (numbers only)'
-      }
-    ]);
+  if (interactive) clearScreen();
+  if (!json) console.log(chalk.bgCyan.black(' HISTORY ') + '\n');
 
-    // Start loading spinner
-    process.stdout.write('\n' + chalk.yellow(`Fetching commands for Guild ID ${guildId}... `) + chalk.cyan('⟳'));
-    
-    const commands = await discordClient.getGuildCommands(guildId);
-    
-    // Clear loading spinner
-    readline.clearLine(process.stdout, 0);
-    readline.cursorTo(process.stdout, 0);
-    
-    if (commands.length === 0) {
-      console.log(chalk.yellow(`⚠️  No commands found for Guild ID ${guildId}.`));
-      console.log(chalk.gray('└─ This guild has no slash commands registered for your bot.'));
-      await promptContinue();
-      return;
+  try {
+    const { entries: allEntries, invalid } = readAuditLog(filePath);
+    if (invalid > 0) {
+      console.error(chalk.yellow(`⚠️  Skipped ${invalid} unreadable lines in ${filePath}.`));
     }
-    
-    console.log(chalk.green(`✅ Found ${commands.length} commands for Guild ID ${guildId}:`));
-    
-    // Create a formatted table
-    console.log();
-    console.log(chalk.cyan('  # │ ') + chalk.cyan('NAME') + ' '.repeat(15) + chalk.cyan('│ COMMAND ID'));
-    console.log(chalk.cyan('────┼──────────────────────┼─────────────────────'));
-    
-    commands.forEach((cmd, i) => {
-      const index = chalk.white(`${i + 1}`.padStart(3));
-      const name = chalk.green(cmd.name.padEnd(20));
-      const id = chalk.blue(cmd.id);
-      console.log(`  ${index} │ ${name} │ ${id}`);
-      
-      // If command has a description, show it indented
-      if (cmd.description) {
-        console.log(`     │ ${chalk.gray('└─ ' + cmd.description.slice(0, 50) + (cmd.description.length > 50 ? '...' : ''))} │`);
-      }
-    });
-    console.log();
-    
-    // Warning visualization
-    console.log(chalk.bgYellow.black(' WARNING ') + ' ' + chalk.yellow('Deleting commands is irreversible'));
-    console.log(chalk.gray('└─ Guild commands will be removed from this specific server'));
-    console.log(chalk.gray('└─ This will affect all users in this server immediately'));
-    console.log();
-    
-    const { confirm } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirm',
-        message: chalk.red(`⚠️  Are you sure you want to delete ALL commands for Guild ID ${guildId}?`),
-        default: false
-      }
-    ]);
-    
-    if (confirm) {
-      console.log();
-      console.log(chalk.yellow('Starting command deletion...'));
-      
-      let deletedCount = 0;
-      const totalCommands = commands.length;
-      
-      for (const [index, cmd] of commands.entries()) {
-        // Show progress
-        const progress = Math.round(((index) / totalCommands) * 100);
-        process.stdout.write(chalk.yellow(`Deleting command ${index + 1}/${totalCommands} (${progress}%)... `));
-        
-        const success = await discordClient.deleteGuildCommand(guildId, cmd.id);
-        
-        // Clear the line
-        readline.clearLine(process.stdout, 0);
-        readline.cursorTo(process.stdout, 0);
-        
-        if (success) {
-          deletedCount++;
-          console.log(chalk.green(`✓ Successfully deleted command: ${chalk.white(cmd.name)} (${deletedCount}/${totalCommands})`));
-        } else {
-          console.log(chalk.red(`✗ Failed to delete command: ${chalk.white(cmd.name)} (${index + 1}/${totalCommands})`));
-        }
-      }
-      
-      // Final summary with visual indicator
-      console.log();
-      if (deletedCount === totalCommands) {
-        console.log(chalk.bgGreen.black(' SUCCESS ') + ' ' + chalk.green(`Deleted all ${deletedCount} guild commands.`));
-      } else if (deletedCount > 0) {
-        console.log(chalk.bgYellow.black(' PARTIAL ') + ' ' + chalk.yellow(`Deleted ${deletedCount}/${totalCommands} guild commands.`));
-        console.log(chalk.gray(`└─ ${totalCommands - deletedCount} commands failed to delete.`));
+
+    if (allEntries.length === 0 && !json) {
+      console.log(chalk.yellow(`⚠️  No history recorded yet.`));
+      console.log(chalk.gray(`└─ Destructive actions are logged to ${filePath}.`));
+    } else {
+      const filter = options.filter || await promptAuditFilter(allEntries);
+      const entries = filterAuditEntries(allEntries, filter);
+
+      if (json) {
+        console.log(JSON.stringify(entries, null, 2));
+      } else if (entries.length === 0) {
+        console.log(chalk.yellow('⚠️  No history entries match the filter.'));
       } else {
-        console.log(chalk.bgRed.white(' FAILED ') + ' ' + chalk.red(`Failed to delete any guild commands.`));
+        console.log(chalk.green(`✅ Showing ${entries.length} of ${allEntries.length} entries from ${chalk.white(filePath)} (newest first):`));
+        printAuditTable(entries);
+
+        if (interactive) await browseAuditEntries(entries);
       }
-    } else {
-      console.log(chalk.yellow('⚠️  Operation cancelled.'));
     }
   } catch (error) {
-    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to delete guild commands:`));
+    success = false;
+    console.error('\n' + chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(`Failed to read history:`));
     console.error(chalk.yellow('  └─ Message: ') + chalk.red(error.message));
-    if (error.message.includes('Unknown Guild')) {
-      console.error(chalk.yellow('  └─ Cause: ') + chalk.red('The Guild ID you provided does not exist or the bot does not have access to it.'));
-      console.error(chalk.yellow('  └─ Fix: ') + chalk.white('Make sure the Guild ID is correct and the bot is a member of the guild.'));
-    }
   }
 
-  await promptContinue();
+  if (interactive) await promptContinue();
+  return success;
+}
+
+/**
+ * Ask the user how to filter the audit log
+ * @param {Array} entries - All audit log entries, used to offer the scopes seen so far
+ * @returns {Promise<AuditFilter>} Filter criteria
+ */
+async function promptAuditFilter(entries) {
+  const scopes = [...new Set(entries.map(entry => entry.scope))];
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: 'Which actions do you want to see?',
+      choices: [{ name: 'All actions', value: '' }, ...AUDIT_ACTIONS.map(action => ({ name: action, value: action }))]
+    },
+    {
+      type: 'list',
+      name: 'scope',
+      message: 'Which scope?',
+      choices: [{ name: 'All scopes', value: '' }, ...scopes.map(scope => ({ name: scope === 'global' ? 'Global' : `Guild ${scope}`, value: scope }))]
+    },
+    {
+      type: 'input',
+      name: 'search',
+      message: 'Command name or ID contains (leave empty for all):'
+    },
+    {
+      type: 'confirm',
+      name: 'errors',
+      message: 'Only show failed requests?',
+      default: false
+    }
+  ]);
+
+  return { ...answers, limit: 50 };
+}
+
+/**
+ * Let the user open audit log entries to see their full payload
+ * @param {Array} entries - Listed audit log entries
+ */
+async function browseAuditEntries(entries) {
+  while (true) {
+    const { index } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'index',
+        message: 'Show an entry in full:',
+        choices: [
+          { name: 'Done', value: -1 },
+          ...entries.map((entry, i) => ({
+            name: `${entry.timestamp.replace('T', ' ').slice(0, 19)} ${entry.action} ${describeAuditCommand(entry)} ${chalk.gray(`(${entry.scope})`)}`,
+            value: i
+          }))
+        ],
+        pageSize: 15
+      }
+    ]);
+
+    if (index === -1) return;
+    console.log();
+    console.log(JSON.stringify(entries[index], null, 2));
+    console.log();
+  }
 }
 
 /**
@@ -654,28 +6338,445 @@ async function promptContinue() {
   ]);
 }
 
+/**
+ * Process exit codes used by the non-interactive CLI
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+/**
+ * Flags that never take a value
+ */
+const BOOLEAN_FLAGS = new Set(['yes', 'help', 'no-backup', 'replace', 'dry-run', 'all-guilds', 'reset-permissions', 'include-entry-point', 'errors', 'retry', 'clean', 'fix', 'once']);
+
+/**
+ * Single-letter aliases for long flags
+ */
+const FLAG_ALIASES = {
+  y: 'yes',
+  h: 'help',
+  g: 'guild'
+};
+
+/**
+ * Parse command-line arguments into positionals and flags
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {{positionals: string[], flags: Object}} Parsed arguments
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    // Support --flag=value, --flag value and -f value
+    let [name, value] = arg.replace(/^--?/, '').split(/=(.*)/s, 2);
+    name = FLAG_ALIASES[name] || name;
+
+    if (BOOLEAN_FLAGS.has(name)) {
+      flags[name] = value === undefined ? true : value !== 'false';
+    } else if (value !== undefined) {
+      flags[name] = value;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('-')) {
+      flags[name] = argv[++i];
+    } else {
+      throw new Error(`Missing value for --${name}`);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Print usage information for the non-interactive CLI
+ */
+function printUsage() {
+  console.log(chalk.bgBlue.white(' USAGE ') + ' ' + chalk.white('discord-command-cleaner [command] [scope] [options]'));
+  console.log();
+  console.log(chalk.cyan('Commands:'));
+  console.log(`  ${chalk.green('list global')}                         List global commands`);
+  console.log(`  ${chalk.green('list guild --guild <id>')}             List commands of a guild`);
+  console.log(`  ${chalk.green('delete global --yes')}                 Delete global commands`);
+  console.log(`  ${chalk.green('delete guild --guild <id> --yes')}     Delete commands of a guild`);
+  console.log(`  ${chalk.green('inspect global|guild --name <name>')}  Show the full tree of a command`);
+  console.log(`  ${chalk.green('backup global|guild [--guild <id>]')}  Save commands to a JSON backup`);
+  console.log(`  ${chalk.green('restore <file> --yes')}                Re-register commands from a backup`);
+  console.log(`  ${chalk.green('sync global|guild --from <path>')}     Overwrite commands with local definitions`);
+  console.log(`  ${chalk.green('diff global|guild --from <path>')}     Compare commands with local definitions`);
+  console.log(`  ${chalk.green('lint global|guild | lint --from <path>')} Check commands against Discord's rules and limits`);
+  console.log(`  ${chalk.green('watch --from <path> [--fix]')}         Check commands on an interval and alert on (or fix) drift`);
+  console.log(`  ${chalk.green('serve [--port <n>]')}                  Start the local web dashboard and JSON API`);
+  console.log(`  ${chalk.green('analyze --guild <id,id> [--from <path>]')} Find guild commands that duplicate global ones, and orphans`);
+  console.log(`  ${chalk.green('snapshots list|take [--guild <id>]')}  Show or add to the snapshot history of a scope`);
+  console.log(`  ${chalk.green('snapshots show|rollback <snapshot>')}  Show a snapshot, or roll the scope back to it`);
+  console.log(`  ${chalk.green('snapshots diff <snapshot> [<snapshot>]')} Compare two snapshots, or one with the live commands`);
+  console.log(`  ${chalk.green('permissions list|export|reset --guild <id>')} View, export or reset command permissions`);
+  console.log(`  ${chalk.green('resume [file] --yes')}                 Resume an interrupted cleanup across guilds`);
+  console.log(`  ${chalk.green('history')}                             Show the audit log of destructive actions`);
+  console.log();
+  console.log(chalk.cyan('Options:'));
+  console.log(`  ${chalk.green('-g, --guild <id>')}    Guild ID for guild commands (comma-separate several for list/delete)`);
+  console.log(`  ${chalk.green('--guilds-file <file>')} List/delete/analyze/watch in the guilds listed in a file, one ID per line`);
+  console.log(`  ${chalk.green('--all-guilds')}        List/delete/analyze/watch in every guild the bot is in`);
+  console.log(`  ${chalk.green('-y, --yes')}           Skip the confirmation prompt`);
+  console.log(`  ${chalk.green('--profile <name>')}    Bot profile to use (see profiles.json)`);
+  console.log(`  ${chalk.green('--profiles <file>')}   Profile config file (default: ./profiles.json)`);
+  console.log(`  ${chalk.green('--application-id <id>')} Application ID to use instead of looking it up`);
+  console.log(`  ${chalk.green('--api-url <url>')}     REST API base URL, e.g. a mock server (default: https://discord.com/api)`);
+  console.log(`  ${chalk.green('--dry-run')}           Log the requests that would change commands instead of sending them`);
+  console.log(`  ${chalk.green('--name <a,b>')}        Only delete/inspect commands with these names`);
+  console.log(`  ${chalk.green('--id <id,id>')}        Only delete/inspect commands with these IDs`);
+  console.log(`  ${chalk.green('--match <pattern>')}   Only delete/inspect commands matching a glob (test-*) or /regex/`);
+  console.log(`  ${chalk.green('--type <a,b>')}        Only list/delete/inspect these types: ${Object.keys(COMMAND_TYPE_FLAGS).join(', ')}`);
+  console.log(`  ${chalk.green('--include-entry-point')} Allow deleting the Activity entry point command`);
+  console.log(`  ${chalk.green('--concurrency <n>')}   Deletions in flight at once (default: ${DEFAULT_CONCURRENCY}, max: ${MAX_CONCURRENCY})`);
+  console.log(`  ${chalk.green('--retry')}             Retry failed deletions with backoff (up to ${MAX_RETRIES} rounds)`);
+  console.log(`  ${chalk.green('--session-dir <dir>')} Where cleanup sessions are saved (default: ./${DEFAULT_SESSION_DIR})`);
+  console.log(`  ${chalk.green('--no-backup')}         Do not write a backup before changing commands`);
+  console.log(`  ${chalk.green('--backup-dir <dir>')}  Where backups are stored (default: ./backups)`);
+  console.log(`  ${chalk.green('--replace')}           Restore by bulk-overwriting the whole scope`);
+  console.log(`  ${chalk.green('--reset-permissions')} Also reset permission overwrites left after a guild cleanup`);
+  console.log(`  ${chalk.green('--clean')}             Analyze: delete every flagged command (guild copies of duplicates and collisions)`);
+  console.log(`  ${chalk.green('--guild-from <path>')} Watch: commands the watched guilds should have (default: none)`);
+  console.log(`  ${chalk.green('--interval <s>')}      Watch: seconds between checks (default: ${DEFAULT_WATCH_INTERVAL_MS / 1000}, min: ${MIN_WATCH_INTERVAL_MS / 1000})`);
+  console.log(`  ${chalk.green('--fix')}               Watch: make drifted scopes match the desired state again`);
+  console.log(`  ${chalk.green('--webhook <url>')}     Watch: post drift alerts as JSON to this URL`);
+  console.log(`  ${chalk.green('--once')}              Watch: check once and exit, e.g. from cron`);
+  console.log(`  ${chalk.green('--port <n>')}          Serve: port on 127.0.0.1 (default: ${DEFAULT_DASHBOARD_PORT}); set DASHBOARD_TOKEN to fix the access token`);
+  console.log(`  ${chalk.green('--export <file>')}     File for "permissions export" (default: backup directory)`);
+  console.log(`  ${chalk.green('--from <path>')}       Definitions file or directory of JS/JSON modules (or a backup file for watch)`);
+  console.log(`  ${chalk.green('--format <format>')}   Output format: table, json, csv or md for list; table or json for inspect, diff, lint, analyze and snapshots`);
+  console.log(`  ${chalk.green('--audit-log <file>')}  Audit log of destructive actions (default: ./${DEFAULT_AUDIT_LOG})`);
+  console.log(`  ${chalk.green('--action <action>')}   History: only ${AUDIT_ACTIONS.join(', ')}`);
+  console.log(`  ${chalk.green('--scope <scope>')}     History: only "global" or a Guild ID`);
+  console.log(`  ${chalk.green('--search <text>')}     History: only commands whose name or ID contains the text`);
+  console.log(`  ${chalk.green('--errors')}            History: only failed requests`);
+  console.log(`  ${chalk.green('--limit <n>')}         History: number of most recent entries (default: 50)`);
+  console.log(`  ${chalk.green('-h, --help')}          Show this help`);
+  console.log();
+  console.log(chalk.gray('Run without arguments to open the interactive menu.'));
+  console.log(chalk.gray('A <snapshot> is a version number, "latest", or a date or time (the newest snapshot taken by then).'));
+  console.log(chalk.gray(`Exit codes: ${EXIT_CODES.SUCCESS} success, ${EXIT_CODES.FAILURE} failure, ${EXIT_CODES.USAGE} invalid usage.`));
+}
+
+/**
+ * Split a comma-separated flag value into a list
+ * @param {string} [value] - Flag value
+ * @returns {string[]} Non-empty, trimmed entries
+ */
+function splitList(value) {
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Print a usage error
+ * @param {string} message - What was wrong with the arguments
+ * @returns {number} The usage exit code
+ */
+function usageError(message) {
+  console.error(chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(message));
+  console.error(chalk.gray('└─ Run with --help to see the available commands.'));
+  return EXIT_CODES.USAGE;
+}
+
+/**
+ * Run a single command without the interactive menu
+ * @param {DiscordAPI} discordClient - The Discord API client
+ * @param {{positionals: string[], flags: Object}} args - Parsed command-line arguments
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCli(discordClient, args) {
+  const [command, scope, ...refs] = args.positionals;
+  const { flags } = args;
+
+  if (!['list', 'delete', 'inspect', 'backup', 'restore', 'sync', 'diff', 'lint', 'analyze', 'watch', 'serve', 'snapshots', 'permissions', 'history', 'resume'].includes(command)) {
+    return usageError(command ? `Unknown command: ${command}` : 'No command given');
+  }
+  if (command === 'restore' && !scope) {
+    return usageError('Missing backup file for "restore"');
+  }
+  if (command === 'permissions' && !['list', 'export', 'reset'].includes(scope)) {
+    return usageError(scope ? `Unknown permissions action: ${scope}` : 'Missing action for "permissions" (list, export or reset)');
+  }
+  if (command === 'snapshots' && !SNAPSHOT_ACTIONS.includes(scope)) {
+    return usageError(scope ? `Unknown snapshots action: ${scope}` : `Missing action for "snapshots" (${SNAPSHOT_ACTIONS.join(', ')})`);
+  }
+  const maxRefs = command === 'snapshots' ? { show: 1, diff: 2, rollback: 1 }[scope] || 0 : 0;
+  if (command === 'snapshots' && maxRefs > 0 && refs.length === 0) {
+    return usageError(`Missing snapshot for "snapshots ${scope}" (a version number, "latest" or a date)`);
+  }
+  if (command === 'snapshots' && refs.length > maxRefs) {
+    return usageError(`Too many snapshots for "snapshots ${scope}"`);
+  }
+  const needsScope = !['restore', 'permissions', 'history', 'resume', 'analyze', 'watch', 'serve', 'snapshots'].includes(command) && !(command === 'lint' && flags.from);
+  if (needsScope && !['global', 'guild'].includes(scope)) {
+    return usageError(scope ? `Unknown scope: ${scope}` : `Missing scope for "${command}" (global or guild)`);
+  }
+  let guildIds = splitList(flags.guild);
+  if ((scope === 'guild' || ['permissions', 'analyze'].includes(command)) && guildIds.length === 0 && !flags['guilds-file'] && !flags['all-guilds']) {
+    // Fall back to the default guilds of the active bot profile
+    guildIds = discordClient.profile?.guildIds || [];
+    if (guildIds.length === 1) flags.guild = guildIds[0];
+  }
+  const multiGuild = guildIds.length > 1 || flags['guilds-file'] !== undefined || Boolean(flags['all-guilds']);
+  if (multiGuild && !(['list', 'delete'].includes(command) && scope === 'guild') && !['analyze', 'watch'].includes(command)) {
+    return usageError('Several guilds can only be used with "list guild", "delete guild", "analyze" and "watch"');
+  }
+  if (command === 'analyze' && guildIds.length === 0 && !multiGuild) {
+    return usageError('Missing --guild, --guilds-file or --all-guilds for "analyze"');
+  }
+  if (flags.clean && command !== 'analyze') {
+    return usageError('--clean can only be used with analyze');
+  }
+  const watchOnly = ['fix', 'once', 'interval', 'webhook', 'guild-from'].filter(name => flags[name] !== undefined);
+  if (watchOnly.length > 0 && command !== 'watch') {
+    return usageError(`--${watchOnly[0]} can only be used with watch`);
+  }
+  if (flags['guild-from'] !== undefined && guildIds.length === 0 && !multiGuild) {
+    return usageError('--guild-from needs the guilds to watch (--guild, --guilds-file or --all-guilds)');
+  }
+  if (flags.port !== undefined && command !== 'serve') {
+    return usageError('--port can only be used with serve');
+  }
+  if (flags.port !== undefined && !(/^[1-9]\d*$/.test(flags.port) && Number(flags.port) <= 65535)) {
+    return usageError('--port must be a number from 1 to 65535');
+  }
+  if (flags.interval !== undefined && validateWatchInterval(flags.interval) !== true) {
+    return usageError(`${validateWatchInterval(flags.interval)} (--interval)`);
+  }
+  if (flags.webhook !== undefined && validateWebhookUrl(flags.webhook) !== true) {
+    return usageError(`${validateWebhookUrl(flags.webhook)} (--webhook)`);
+  }
+  if (!multiGuild && (scope === 'guild' || command === 'permissions' || flags.guild !== undefined) && !isValidSnowflake(flags.guild || '')) {
+    return usageError('A valid --guild <id> is required for guild commands');
+  }
+  if (guildIds.some(id => !isValidSnowflake(id))) {
+    return usageError('Guild IDs must be numbers only');
+  }
+  if (['sync', 'diff', 'watch'].includes(command) && !flags.from) {
+    return usageError(`Missing --from <path> for "${command}"`);
+  }
+  const formats = command === 'list' ? LIST_FORMATS : ['table', 'json'];
+  if (flags.format !== undefined && !formats.includes(flags.format)) {
+    return usageError(`Unknown format: ${flags.format} (${formats.join(', ')})`);
+  }
+  if (flags.format !== undefined && !['list', 'inspect', 'diff', 'lint', 'analyze', 'history', 'snapshots'].includes(command)) {
+    return usageError('--format can only be used with list, inspect, diff, lint, analyze, history and snapshots');
+  }
+  if (flags.clean && flags.format === 'json') {
+    return usageError('--clean cannot be combined with --format json');
+  }
+  if (flags.action !== undefined && !AUDIT_ACTIONS.includes(flags.action)) {
+    return usageError(`Unknown action: ${flags.action} (${AUDIT_ACTIONS.join(', ')})`);
+  }
+  if (flags.concurrency !== undefined && !(/^[1-9]\d*$/.test(flags.concurrency) && Number(flags.concurrency) <= MAX_CONCURRENCY)) {
+    return usageError(`--concurrency must be a number from 1 to ${MAX_CONCURRENCY}`);
+  }
+  if (flags.limit !== undefined && !/^[1-9]\d*$/.test(flags.limit)) {
+    return usageError('--limit must be a positive number');
+  }
+  const destructive = ['delete', 'restore', 'sync', 'resume'].includes(command) || (command === 'permissions' && scope === 'reset') ||
+    (command === 'snapshots' && scope === 'rollback') ||
+    Boolean(flags.clean) || Boolean(flags.fix);
+  if (destructive && !flags.yes && !process.stdin.isTTY) {
+    return usageError(`Refusing to ${command === 'snapshots' ? 'roll back' : command} without --yes in a non-interactive shell`);
+  }
+  if (flags.match !== undefined && validateMatchPattern(flags.match) !== true) {
+    return usageError(`${validateMatchPattern(flags.match)} (--match)`);
+  }
+
+  let types;
+  try {
+    types = parseCommandTypes(splitList(flags.type));
+  } catch (error) {
+    return usageError(`${error.message} (--type)`);
+  }
+  if (types.length > 0 && !['list', 'delete', 'inspect'].includes(command)) {
+    return usageError('--type can only be used with list, delete and inspect');
+  }
+
+  const selection = {
+    names: splitList(flags.name),
+    ids: splitList(flags.id),
+    match: flags.match,
+    types
+  };
+  if (!['delete', 'inspect'].includes(command) && hasSelection({ ...selection, types: [] })) {
+    return usageError('--name, --id and --match can only be used with delete and inspect');
+  }
+  if (command === 'inspect' && !hasSelection(selection)) {
+    return usageError('Missing --name, --id, --match or --type for "inspect"');
+  }
+
+  const options = {
+    interactive: false,
+    guildId: flags.guild,
+    yes: Boolean(flags.yes),
+    selection,
+    backup: !flags['no-backup'],
+    backupDir: flags['backup-dir'],
+    resetPermissions: Boolean(flags['reset-permissions']),
+    includeEntryPoint: Boolean(flags['include-entry-point']),
+    types,
+    format: flags.format,
+    concurrency: flags.concurrency ? Number(flags.concurrency) : undefined,
+    retry: Boolean(flags.retry),
+    sessionDir: flags['session-dir']
+  };
+
+  let success;
+  if (command === 'analyze') {
+    const guilds = flags['all-guilds'] ? { all: true } : { ids: guildIds, file: flags['guilds-file'] };
+    success = await analyzeCommands(discordClient, { ...options, guilds, source: flags.from || null, clean: Boolean(flags.clean) });
+  } else if (multiGuild) {
+    options.guilds = flags['all-guilds'] ? { all: true } : { ids: guildIds, file: flags['guilds-file'] };
+    success = command === 'list'
+      ? await listMultiGuildCommands(discordClient, options)
+      : await deleteMultiGuildCommands(discordClient, options);
+  } else if (command === 'resume') {
+    success = await resumeCleanupSession(discordClient, { ...options, file: scope });
+  } else if (command === 'history') {
+    const filter = {
+      action: flags.action,
+      scope: flags.scope,
+      search: flags.search,
+      errors: Boolean(flags.errors),
+      limit: flags.limit ? Number(flags.limit) : 50
+    };
+    success = await viewHistory(discordClient, { ...options, filter });
+  } else if (command === 'snapshots') {
+    const target = flags.guild ? { scope: 'guild', guildId: flags.guild } : { scope: 'global' };
+    success = await snapshotHistory(discordClient, { ...options, target, action: scope, refs });
+  } else if (command === 'permissions') {
+    success = await manageGuildPermissions(discordClient, { ...options, action: scope, exportFile: flags.export });
+  } else if (command === 'restore') {
+    success = await restoreFromBackup(discordClient, { ...options, file: scope, replace: Boolean(flags.replace) });
+  } else if (command === 'backup') {
+    const target = scope === 'guild' ? { scope, guildId: flags.guild } : { scope };
+    success = await backupCommands(discordClient, { ...options, target });
+  } else if (command === 'sync') {
+    const target = scope === 'guild' ? { scope, guildId: flags.guild } : { scope };
+    success = await syncCommands(discordClient, { ...options, target, source: flags.from });
+  } else if (command === 'inspect') {
+    const target = scope === 'guild' ? { scope, guildId: flags.guild } : { scope };
+    success = await inspectCommand(discordClient, { ...options, target });
+  } else if (command === 'serve') {
+    success = await serveDashboard(discordClient, { ...options, port: flags.port ? Number(flags.port) : undefined });
+  } else if (command === 'watch') {
+    const guilds = flags['all-guilds'] ? { all: true } : guildIds.length > 0 || flags['guilds-file'] ? { ids: guildIds, file: flags['guilds-file'] } : null;
+    success = await watchCommands(discordClient, {
+      ...options,
+      source: flags.from,
+      guilds,
+      guildSource: flags['guild-from'],
+      intervalMs: flags.interval ? Number(flags.interval) * 1000 : undefined,
+      fix: Boolean(flags.fix),
+      webhookUrl: flags.webhook,
+      maxChecks: flags.once ? 1 : undefined
+    });
+  } else if (command === 'lint') {
+    const target = flags.from ? undefined : scope === 'guild' ? { scope, guildId: flags.guild } : { scope };
+    success = await lintCommands(discordClient, { ...options, target, source: flags.from });
+  } else if (command === 'diff') {
+    const target = scope === 'guild' ? { scope, guildId: flags.guild } : { scope };
+    success = await diffCommands(discordClient, { ...options, target, source: flags.from });
+  } else {
+    const handlers = {
+      'list global': listGlobalCommands,
+      'list guild': listGuildCommands,
+      'delete global': deleteGlobalCommands,
+      'delete guild': deleteGuildCommands
+    };
+    success = await handlers[`${command} ${scope}`](discordClient, options);
+  }
+
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
 /**
  * Main entry point for the application
  */
 async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.exit(usageError(error.message));
+  }
+
+  if (args.flags.help) {
+    printUsage();
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  // Load bot profiles, if configured
+  const profilesPath = args.flags.profiles || process.env.DISCORD_PROFILES || DEFAULT_PROFILES_FILE;
+  let profiles;
+  try {
+    profiles = loadProfiles(profilesPath);
+  } catch (error) {
+    console.error(chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(error.message));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  const profileName = args.flags.profile || profiles?.default;
+  if (profileName && !profiles?.profiles[profileName]) {
+    process.exit(usageError(`Unknown profile "${profileName}" (profiles are read from ${profilesPath})`));
+  }
+
   // Check for bot token
-  const botToken = process.env.DISCORD_BOT_TOKEN;
-  if (!botToken) {
+  if (!profileName && !hasEnvironmentCredentials()) {
     console.error(chalk.red('Error: DISCORD_BOT_TOKEN not found in environment variables.'));
     console.log(chalk.yellow('Please create a .env file with your bot token or set it as an environment variable.'));
     console.log(chalk.gray('Example .env file:'));
     console.log(chalk.gray('DISCORD_BOT_TOKEN=your_bot_token_here'));
-    process.exit(1);
+    console.log(chalk.gray('To avoid sharing the bot token, set DISCORD_CLIENT_ID and DISCORD_CLIENT_SECRET instead.'));
+    console.log(chalk.gray(`You can also define several bots in ${DEFAULT_PROFILES_FILE} and pick one with --profile.`));
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  // Initialize Discord API client; keep stdout clean for machine-readable output
+  let discordClient;
+  try {
+    const clientOptions = {
+      quiet: args.flags.format !== undefined && args.flags.format !== 'table',
+      dryRun: Boolean(args.flags['dry-run']),
+      auditLog: getAuditLogPath({ auditLog: args.flags['audit-log'] })
+    };
+    if (args.flags['application-id']) clientOptions.applicationId = args.flags['application-id'];
+    if (args.flags['api-url'] || process.env.DISCORD_API_URL) {
+      clientOptions.apiBaseUrl = args.flags['api-url'] || process.env.DISCORD_API_URL;
+    }
+    discordClient = attachConsoleReporter(createDiscordClient(profileName ? profiles.profiles[profileName] : null, clientOptions));
+  } catch (error) {
+    console.error(chalk.bgRed.white(' ERROR ') + ' ' + chalk.red(error.message));
+    process.exit(EXIT_CODES.FAILURE);
   }
 
-  // Initialize Discord API client
-  const discordClient = new DiscordAPI(botToken);
+  // Run a single command when arguments are given
+  if (args.positionals.length > 0) {
+    const exitCode = await runCli(discordClient, args);
+    printRateLimitMetrics(discordClient);
+    process.exit(exitCode);
+  }
 
   // Main application loop
   while (true) {
     try {
       clearScreen();
       printBanner();
+      await printBotInfo(discordClient);
+      printDryRunNotice(discordClient);
 
       // Display menu and get user choice
       const { choice } = await inquirer.prompt([
@@ -685,10 +6786,28 @@ async function main() {
           message: 'Select an option:',
           choices: [
             { name: '1. List Global Commands', value: '1' },
-            { name: '2. Delete All Global Commands', value: '2' },
+            { name: '2. Delete Global Commands', value: '2' },
             { name: '3. List Guild Commands', value: '3' },
-            { name: '4. Delete All Guild Commands', value: '4' },
-            { name: '5. Exit', value: '5' }
+            { name: '4. Delete Guild Commands', value: '4' },
+            { name: '5. Inspect a Command', value: '5' },
+            { name: '6. Save Command List to File', value: '6' },
+            { name: '7. List Commands Across Guilds', value: '7' },
+            { name: '8. Delete Commands Across Guilds', value: '8' },
+            { name: '9. Resume Cleanup Session', value: '9' },
+            { name: '10. Back Up Commands', value: '10' },
+            { name: '11. Restore from Backup', value: '11' },
+            { name: '12. Snapshot History', value: '12' },
+            { name: '13. Sync Commands from Definitions', value: '13' },
+            { name: '14. Diff Commands Against Definitions', value: '14' },
+            { name: '15. Lint Commands Against Discord Limits', value: '15' },
+            { name: '16. Analyze Duplicates and Orphans', value: '16' },
+            { name: '17. Watch Commands for Drift', value: '17' },
+            { name: '18. Open Web Dashboard', value: '18' },
+            { name: '19. Manage Guild Command Permissions', value: '19' },
+            { name: '20. View History', value: '20' },
+            { name: '21. Switch Bot', value: '21' },
+            { name: `22. Dry Run: ${discordClient.dryRun ? 'ON' : 'OFF'}`, value: '22' },
+            { name: '23. Exit', value: '23' }
           ]
         }
       ]);
@@ -707,6 +6826,61 @@ async function main() {
           await deleteGuildCommands(discordClient);
           break;
         case '5':
+          await inspectCommand(discordClient);
+          break;
+        case '6':
+          await saveCommandList(discordClient);
+          break;
+        case '7':
+          await listMultiGuildCommands(discordClient);
+          break;
+        case '8':
+          await deleteMultiGuildCommands(discordClient);
+          break;
+        case '9':
+          await resumeCleanupSession(discordClient);
+          break;
+        case '10':
+          await backupCommands(discordClient);
+          break;
+        case '11':
+          await restoreFromBackup(discordClient);
+          break;
+        case '12':
+          await snapshotHistory(discordClient);
+          break;
+        case '13':
+          await syncCommands(discordClient);
+          break;
+        case '14':
+          await diffCommands(discordClient);
+          break;
+        case '15':
+          await lintCommands(discordClient);
+          break;
+        case '16':
+          await analyzeCommands(discordClient);
+          break;
+        case '17':
+          await watchCommands(discordClient);
+          break;
+        case '18':
+          await serveDashboard(discordClient);
+          break;
+        case '19':
+          await manageGuildPermissions(discordClient);
+          break;
+        case '20':
+          await viewHistory(discordClient);
+          break;
+        case '21':
+          discordClient = await switchBotProfile(discordClient, profiles);
+          break;
+        case '22':
+          discordClient.dryRun = !discordClient.dryRun;
+          break;
+        case '23':
+          printRateLimitMetrics(discordClient);
           console.log(chalk.yellow('Exiting Discord Command Cleaner. Goodbye!'));
           process.exit(0);
           break;
@@ -722,8 +6896,64 @@ async function main() {
   }
 }
 
-// Start the application
-main().catch(error => {
-  console.error(chalk.red(`Fatal error: ${error.message}`));
-  process.exit(1);
-});
\ No newline at end of file
+// Start the application when run directly; tests require the file instead
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red(`Fatal error: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Library API
+  DiscordAPI,
+  DiscordRequestError,
+  InvalidTokenError,
+  MissingScopeError,
+  UnknownGuildError,
+  UnknownCommandError,
+  MissingAccessError,
+  classifyDiscordError,
+  createDiscordClient,
+  listCommands,
+  deleteCommands,
+  syncCommandSet,
+  backupCommandSet,
+  takeSnapshot,
+  listSnapshots,
+  getSnapshot,
+  diffSnapshots,
+  rollbackToSnapshot,
+  planSync,
+  processCommands,
+  filterCommands,
+  formatCommandList,
+  diffCommandSets,
+  analyzeCommandScopes,
+  checkCommandDrift,
+  watchCommandState,
+  createDashboardServer,
+  loadCommandDefinitions,
+  validateCommandDefinitions,
+  lintCommandDefinitions,
+  readBackup,
+  COMMAND_TYPES,
+  COMMAND_LIMITS,
+
+  // Terminal UI
+  attachConsoleReporter,
+  listGlobalCommands,
+  listGuildCommands,
+  deleteGlobalCommands,
+  deleteGuildCommands,
+  analyzeCommands,
+  lintCommands,
+  watchCommands,
+  serveDashboard,
+  snapshotHistory,
+  printOperationSummary,
+  parseArgs,
+  runCli,
+  EXIT_CODES,
+  MAX_RETRIES
+};
\ No newline at end of file
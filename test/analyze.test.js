@@ -0,0 +1,75 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeCommandScopes, analyzeCommands } = require('..');
+const { startMockClient, captureOutput, slashCommands } = require('./support/helpers');
+
+const GUILD_ID = '200000000000000001';
+const OTHER_GUILD_ID = '200000000000000002';
+
+describe('analyzing command scopes', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    ({ server, client } = await startMockClient({
+      globalCommands: slashCommands('ping', 'help', 'legacy'),
+      guilds: {
+        [GUILD_ID]: {
+          name: 'Dev Guild',
+          commands: [...slashCommands('ping', 'setup'), { name: 'help', type: 1, description: 'Old help text' }]
+        },
+        [OTHER_GUILD_ID]: { name: 'Other Guild', commands: slashCommands('setup') }
+      }
+    }));
+  });
+
+  afterEach(() => server.stop());
+
+  test('flags duplicates and collisions with global commands', async () => {
+    const { findings, guilds } = await analyzeCommandScopes(client, { guildIds: [GUILD_ID, OTHER_GUILD_ID] });
+
+    assert.equal(guilds.length, 2);
+    assert.deepEqual(findings.map(finding => [finding.kind, finding.command.name]), [['duplicate', 'ping'], ['collision', 'help']]);
+    assert.equal(findings[1].changes[0].field, 'description');
+    assert.equal(findings[1].global.description, 'The help command');
+  });
+
+  test('flags orphans only when definitions are given', async () => {
+    const { findings } = await analyzeCommandScopes(client, {
+      guildIds: [OTHER_GUILD_ID],
+      definitions: slashCommands('ping', 'help')
+    });
+
+    assert.deepEqual(findings.map(finding => [finding.command.name, finding.target.scope]), [['legacy', 'global'], ['setup', 'guild']]);
+    assert.ok(findings.every(finding => finding.kind === 'orphan'));
+  });
+
+  test('keeps going when a guild cannot be fetched', async () => {
+    const { findings, guilds } = await analyzeCommandScopes(client, { guildIds: ['299999999999999999', GUILD_ID] });
+
+    assert.equal(guilds[0].error.code, 10004);
+    assert.equal(findings.length, 2);
+  });
+
+  test('only reports without --clean', async () => {
+    const { result, stdout } = await captureOutput(() =>
+      analyzeCommands(client, { interactive: false, guilds: { ids: [GUILD_ID] }, source: null }));
+
+    assert.equal(result, true);
+    assert.match(stdout, /1 duplicates, 1 collisions/);
+    assert.match(stdout, /--clean --yes/);
+    assert.equal(server.requestsFor('DELETE').length, 0);
+  });
+
+  test('deletes only the guild copies of flagged commands', async () => {
+    const { result, stdout } = await captureOutput(() =>
+      analyzeCommands(client, { interactive: false, yes: true, clean: true, backup: false, guilds: { ids: [GUILD_ID, OTHER_GUILD_ID] }, source: null }));
+
+    assert.equal(result, true);
+    assert.match(stdout, /Deleted all 2 flagged commands/);
+    assert.deepEqual(server.commands(GUILD_ID).map(command => command.name), ['setup']);
+    assert.deepEqual(server.commands(OTHER_GUILD_ID).map(command => command.name), ['setup']);
+    assert.equal(server.commands().length, 3);
+  });
+});
@@ -0,0 +1,153 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createDashboardServer, readBackup } = require('..');
+const { startMockClient, slashCommands } = require('./support/helpers');
+
+const GUILD_ID = '200000000000000001';
+const TOKEN = 'dashboard-test-token';
+
+describe('dashboard', () => {
+  let server;
+  let client;
+  let dashboard;
+  let baseUrl;
+  let backupDir;
+
+  /**
+   * Call the dashboard API with the access token
+   * @param {string} method - HTTP method
+   * @param {string} url - Path and query
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<{status: number, body: Object}>} Response status and parsed body
+   */
+  async function call(method, url, body) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeEach(async () => {
+    ({ server, client } = await startMockClient({
+      globalCommands: slashCommands('ping', 'help', 'test-one'),
+      guilds: { [GUILD_ID]: { name: 'Test Guild', commands: slashCommands('setup') } }
+    }, { reporter: false }));
+    backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleaner-dashboard-'));
+    dashboard = createDashboardServer(client, { token: TOKEN, backupDir });
+    await new Promise(resolve => dashboard.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${dashboard.address().port}`;
+  });
+
+  afterEach(async () => {
+    dashboard.closeAllConnections();
+    await new Promise(resolve => dashboard.close(resolve));
+    await server.stop();
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  });
+
+  test('serves the page without a token but the API only with one', async () => {
+    const page = await fetch(baseUrl + '/');
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /Discord Command Cleaner/);
+
+    const anonymous = await fetch(baseUrl + '/api/commands');
+    assert.equal(anonymous.status, 401);
+    const wrong = await fetch(baseUrl + '/api/commands', { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401);
+  });
+
+  test('lists scopes and commands, and inspects one', async () => {
+    const scopes = await call('GET', '/api/scopes');
+    assert.deepEqual(scopes.body.guilds, [{ id: GUILD_ID, name: 'Test Guild' }]);
+
+    const global = await call('GET', '/api/commands');
+    assert.deepEqual(global.body.commands.map(cmd => cmd.name), ['ping', 'help', 'test-one']);
+
+    const guild = await call('GET', `/api/commands?guild=${GUILD_ID}`);
+    assert.deepEqual(guild.body.target, { scope: 'guild', guildId: GUILD_ID });
+
+    const inspected = await call('GET', '/api/commands/help');
+    assert.equal(inspected.body.command.description, 'The help command');
+    assert.equal((await call('GET', '/api/commands/missing')).status, 404);
+  });
+
+  test('deletes a selection after backing it up', async () => {
+    const { status, body } = await call('POST', '/api/delete', { match: 'test-*' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.deleted.map(cmd => cmd.name), ['test-one']);
+    assert.equal(readBackup(body.backupFile).commands.length, 3);
+    assert.deepEqual(server.commands().map(cmd => cmd.name), ['ping', 'help']);
+
+    const single = await call('DELETE', '/api/commands/ping');
+    assert.deepEqual(single.body.deleted.map(cmd => cmd.name), ['ping']);
+
+    assert.equal((await call('POST', '/api/delete', {})).status, 400);
+  });
+
+  test('only accepts JSON objects as request bodies', async () => {
+    for (const body of [null, 5, '"ping"', '[]']) {
+      for (const url of ['/api/delete', '/api/backup']) {
+        const response = await fetch(baseUrl + url, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+          body: String(body)
+        });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error, 'The body must be a JSON object');
+      }
+    }
+    assert.equal(server.requestsFor('DELETE').length, 0);
+  });
+
+  test('checks the shape of a delete selection', async () => {
+    assert.equal((await call('POST', '/api/delete', { names: 'test-one' })).status, 400);
+    assert.equal((await call('POST', '/api/delete', { ids: [1] })).status, 400);
+    assert.equal((await call('POST', '/api/delete', { types: ['chat'] })).status, 400);
+    assert.equal((await call('POST', '/api/delete', { match: 5 })).status, 400);
+    assert.equal(server.requestsFor('DELETE').length, 0);
+
+    const { body } = await call('POST', '/api/delete', { types: ['slash'], backup: false });
+    assert.equal(body.deleted.length, 3);
+  });
+
+  test('backs up and diffs a scope', async () => {
+    const backup = await call('POST', '/api/backup', { guild: GUILD_ID });
+    assert.equal(backup.body.count, 1);
+    assert.equal(readBackup(backup.body.file).guildId, GUILD_ID);
+
+    const diff = await call('POST', '/api/diff', { definitions: slashCommands('ping', 'status') });
+    assert.deepEqual(diff.body.added.map(cmd => cmd.name), ['status']);
+    assert.deepEqual(diff.body.removed.map(cmd => cmd.name), ['help', 'test-one']);
+
+    const fromFile = await call('POST', '/api/diff', { source: path.join(backupDir, 'commands.js') });
+    assert.equal(fromFile.status, 400);
+  });
+
+  test('passes Discord errors on with their explanation', async () => {
+    const { status, body } = await call('GET', '/api/commands?guild=299999999999999999');
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 10004);
+    assert.ok(body.fix);
+    assert.equal((await call('GET', '/api/commands?guild=abc')).status, 400);
+  });
+
+  test('refuses requests for other hosts', async () => {
+    // fetch() does not let callers set the Host header
+    const status = await new Promise((resolve, reject) => {
+      http.get(baseUrl + '/api/commands', { headers: { Authorization: `Bearer ${TOKEN}`, Host: 'evil.example' } }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      }).on('error', reject);
+    });
+    assert.equal(status, 403);
+  });
+});
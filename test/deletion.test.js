@@ -0,0 +1,108 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { deleteGlobalCommands, deleteGuildCommands, runCli, parseArgs, UnknownCommandError } = require('..');
+const { startMockClient, captureOutput, slashCommands } = require('./support/helpers');
+
+const GUILD_ID = '200000000000000001';
+
+describe('deleting commands', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    ({ server, client } = await startMockClient({
+      globalCommands: slashCommands('ping', 'help', 'test-one', 'test-two'),
+      guilds: { [GUILD_ID]: { name: 'Test Guild', commands: slashCommands('setup', 'config') } }
+    }));
+  });
+
+  afterEach(() => server.stop());
+
+  test('deletes every global command', async () => {
+    const { result, stdout } = await captureOutput(() =>
+      deleteGlobalCommands(client, { interactive: false, yes: true, backup: false }));
+
+    assert.equal(result, true);
+    assert.equal(server.commands().length, 0);
+    assert.equal(server.requestsFor('DELETE').length, 4);
+    assert.match(stdout, /Deleted all 4 global commands/);
+  });
+
+  test('deletes only the selected commands', async () => {
+    const { result } = await captureOutput(() =>
+      deleteGlobalCommands(client, { interactive: false, yes: true, backup: false, selection: { match: 'test-*' } }));
+
+    assert.equal(result, true);
+    assert.deepEqual(server.commands().map(command => command.name), ['ping', 'help']);
+  });
+
+  test('deletes the commands of a guild', async () => {
+    const { result } = await captureOutput(() =>
+      deleteGuildCommands(client, { interactive: false, yes: true, backup: false, guildId: GUILD_ID }));
+
+    assert.equal(result, true);
+    assert.equal(server.commands(GUILD_ID).length, 0);
+    assert.equal(server.commands().length, 4);
+  });
+
+  test('sends nothing in a dry run', async () => {
+    client.dryRun = true;
+
+    const { result, stdout } = await captureOutput(() =>
+      deleteGlobalCommands(client, { interactive: false, yes: true, backup: false }));
+
+    assert.equal(result, true);
+    assert.equal(server.requestsFor('DELETE').length, 0);
+    assert.equal(server.commands().length, 4);
+    assert.match(stdout, /simulated, nothing was changed/);
+  });
+
+  test('reports a command that no longer exists without retrying it', async () => {
+    const [ping] = server.commands();
+    server.queueFailure({ method: 'DELETE', path: `/applications/${server.applicationId}/commands/${ping.id}`, status: 404, code: 10063, message: 'Unknown application command' });
+
+    const { result, stdout } = await captureOutput(() =>
+      deleteGlobalCommands(client, { interactive: false, yes: true, backup: false, retry: true }));
+
+    assert.equal(result, false);
+    assert.ok(client.commandErrors.get(ping.id) instanceof UnknownCommandError);
+    assert.match(stdout, /None of them can be retried/);
+    assert.equal(server.requestsFor('DELETE').length, 4);
+  });
+
+  test('does not leave commands that are already gone in a cleanup session', async () => {
+    const otherGuildId = '200000000000000002';
+    server.addGuild(otherGuildId, 'Other Guild', slashCommands('debug'));
+    const [setup] = server.commands(GUILD_ID);
+    server.queueFailure({ method: 'DELETE', path: `/applications/${server.applicationId}/guilds/${GUILD_ID}/commands/${setup.id}`, status: 404, code: 10063, message: 'Unknown application command' });
+    const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleaner-sessions-'));
+
+    try {
+      const { stdout } = await captureOutput(() =>
+        runCli(client, parseArgs(['delete', 'guild', '--guild', `${GUILD_ID},${otherGuildId}`, '--yes', '--no-backup', '--session-dir', sessionDir])));
+
+      assert.match(stdout, /Cleaned up 1\/2 guilds/);
+      assert.doesNotMatch(stdout, /commands are left; resume with/);
+      assert.deepEqual(fs.readdirSync(sessionDir), []);
+    } finally {
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+    }
+  });
+
+  test('retries failed deletions with backoff', async () => {
+    server.queueFailure({ method: 'DELETE', count: 8 });
+    client.rest.options.retries = 0;
+
+    const { result, stdout } = await captureOutput(() =>
+      deleteGlobalCommands(client, { interactive: false, yes: true, backup: false, retry: true, concurrency: 1 }));
+
+    assert.equal(result, true);
+    assert.equal(server.commands().length, 0);
+    assert.match(stdout, /Retrying in 1\.0 seconds/);
+    assert.match(stdout, /Retrying in 2\.0 seconds/);
+  });
+});
@@ -0,0 +1,144 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  listCommands,
+  deleteCommands,
+  syncCommandSet,
+  backupCommandSet,
+  planSync,
+  filterCommands,
+  readBackup,
+  UnknownGuildError,
+  COMMAND_TYPES
+} = require('..');
+const { startMockClient, captureOutput, slashCommands } = require('./support/helpers');
+
+const GUILD_ID = '200000000000000001';
+
+describe('library API', () => {
+  let server;
+  let client;
+  let backupDir;
+
+  beforeEach(async () => {
+    ({ server, client } = await startMockClient({
+      globalCommands: [...slashCommands('ping', 'test-one', 'test-two'), { name: 'launch', type: COMMAND_TYPES.PRIMARY_ENTRY_POINT, handler: 2 }],
+      guilds: { [GUILD_ID]: { name: 'Test Guild', commands: slashCommands('setup') } }
+    }, { reporter: false }));
+    backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleaner-backups-'));
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  });
+
+  test('prints nothing', async () => {
+    const { stdout, stderr } = await captureOutput(async () => {
+      await listCommands(client);
+      await deleteCommands(client, { selection: { names: ['ping'] }, backupDir });
+      await listCommands(client, { guildId: '299999999999999999' }).catch(() => {});
+    });
+
+    assert.equal(stdout, '');
+    assert.equal(stderr, '');
+  });
+
+  test('lists commands with a type filter', async () => {
+    const { target, commands } = await listCommands(client, { types: [COMMAND_TYPES.PRIMARY_ENTRY_POINT] });
+
+    assert.deepEqual(target, { scope: 'global' });
+    assert.deepEqual(commands.map(command => command.name), ['launch']);
+  });
+
+  test('ignores the g and y flags of a regex pattern', () => {
+    const commands = slashCommands('test-a', 'test-b', 'test-c');
+
+    assert.equal(filterCommands(commands, { match: '/test/g' }).length, 3);
+    assert.equal(filterCommands(commands, { match: '/^TEST/iy' }).length, 3);
+  });
+
+  test('deletes a selection, keeps the entry point and backs up first', async () => {
+    const progress = [];
+    client.on('progress', event => progress.push(event));
+
+    const result = await deleteCommands(client, { backupDir });
+
+    assert.deepEqual(result.deleted.map(command => command.name).sort(), ['ping', 'test-one', 'test-two']);
+    assert.deepEqual(result.skipped.map(command => command.name), ['launch']);
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual(server.commands().map(command => command.name), ['launch']);
+    assert.equal(readBackup(result.backupFile).commands.length, 4);
+
+    assert.equal(progress.length, 3);
+    assert.deepEqual(progress.at(-1), { ...progress.at(-1), action: 'delete', ok: true, done: 3, failed: 0, total: 3 });
+  });
+
+  test('retries failed deletions when asked to', async () => {
+    server.queueFailure({ method: 'DELETE', count: 2 });
+    client.rest.options.retries = 0;
+
+    const once = await deleteCommands(client, { selection: { match: 'test-*' }, backup: false, concurrency: 1 });
+    assert.equal(once.deleted.length, 0);
+    assert.equal(once.failed.length, 2);
+    assert.equal(once.failed[0].error.status, 500);
+
+    server.queueFailure({ method: 'DELETE', count: 1 });
+    const retried = await deleteCommands(client, { selection: { match: 'test-*' }, backup: false, retries: 1 });
+    assert.equal(retried.deleted.length, 2);
+    assert.deepEqual(retried.failed, []);
+  });
+
+  test('reports request errors as events and typed errors', async () => {
+    const errors = [];
+    client.on('requestError', event => errors.push(event));
+
+    await assert.rejects(listCommands(client, { guildId: '299999999999999999' }), UnknownGuildError);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].title, 'Failed to get guild commands');
+  });
+
+  test('syncs a scope to a definition set', async () => {
+    const result = await syncCommandSet(client, {
+      guildId: GUILD_ID,
+      definitions: [{ data: { name: 'setup', description: 'Set the bot up again' } }, ...slashCommands('status')],
+      backupDir
+    });
+
+    assert.deepEqual(result.added.map(command => command.name), ['status']);
+    assert.deepEqual(result.overwritten.map(command => command.name), ['setup']);
+    assert.deepEqual(result.removed, []);
+    assert.deepEqual(server.commands(GUILD_ID).map(command => command.description), ['Set the bot up again', 'The status command']);
+    assert.ok(result.backupFile);
+  });
+
+  test('plans a sync by command type and name', () => {
+    const remote = [...slashCommands('report'), { name: 'report', type: COMMAND_TYPES.USER }];
+    const plan = planSync(remote, [{ name: 'report', type: COMMAND_TYPES.MESSAGE }, ...slashCommands('report')]);
+
+    assert.deepEqual(plan.added.map(command => command.type), [COMMAND_TYPES.MESSAGE]);
+    assert.deepEqual(plan.overwritten.map(command => command.type), [COMMAND_TYPES.CHAT_INPUT]);
+    assert.deepEqual(plan.removed.map(command => command.type), [COMMAND_TYPES.USER]);
+  });
+
+  test('refuses invalid definitions', async () => {
+    await assert.rejects(
+      syncCommandSet(client, { definitions: [{ name: 'Bad Name', description: 'x' }] }),
+      error => error.problems.length > 0
+    );
+    assert.equal(server.requestsFor('PUT').length, 0);
+  });
+
+  test('writes backups', async () => {
+    const { file, commands } = await backupCommandSet(client, { guildId: GUILD_ID, backupDir });
+
+    const backup = readBackup(file);
+    assert.equal(backup.scope, 'guild');
+    assert.equal(backup.guildId, GUILD_ID);
+    assert.deepEqual(backup.commands, commands);
+  });
+});
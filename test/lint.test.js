@@ -0,0 +1,134 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lintCommandDefinitions, validateCommandDefinitions, lintCommands, COMMAND_LIMITS, COMMAND_TYPES } = require('..');
+const { startMockClient, captureOutput, slashCommands } = require('./support/helpers');
+
+/**
+ * Lint a single command and return the messages of its issues
+ * @param {Object} command - Command payload
+ * @returns {string[]} Issue messages
+ */
+function lintOne(command) {
+  return lintCommandDefinitions([command]).map(issue => issue.message);
+}
+
+/**
+ * Build simple string options
+ * @param {number} count - Number of options
+ * @returns {Array<Object>} Options
+ */
+function stringOptions(count) {
+  return Array.from({ length: count }, (_, i) => ({ type: 3, name: `option-${i}`, description: 'An option' }));
+}
+
+describe('linting command definitions', () => {
+  test('accepts a valid command', () => {
+    assert.deepEqual(lintOne({
+      name: 'config',
+      description: 'Configure the bot',
+      options: [{
+        type: 1,
+        name: 'set',
+        description: 'Set a value',
+        options: [
+          { type: 3, name: 'key', description: 'Key', required: true, choices: [{ name: 'Prefix', value: 'prefix' }] },
+          { type: 3, name: 'value', description: 'Value' }
+        ]
+      }]
+    }), []);
+  });
+
+  test('checks names, casing and description length', () => {
+    assert.deepEqual(lintOne({ name: 'Ping', description: 'x'.repeat(101) }), [
+      'Command "Ping" must be 1-32 lowercase letters, numbers, - or _',
+      'Command "Ping" needs a description of 1-100 characters'
+    ]);
+    assert.deepEqual(lintOne({ name: 'Report User', type: COMMAND_TYPES.USER, description: 'Reports a user' }), [
+      'Command "Report User" is a context menu command and cannot have a description'
+    ]);
+  });
+
+  test('limits options and choices to 25', () => {
+    const choices = Array.from({ length: 26 }, (_, i) => ({ name: `Choice ${i}`, value: i }));
+
+    assert.match(lintOne({ name: 'big', description: 'Big', options: stringOptions(26) })[0], /26 options; Discord allows 25/);
+    assert.match(lintOne({ name: 'big', description: 'Big', options: [{ type: 4, name: 'n', description: 'N', choices }] })[0], /26 choices/);
+  });
+
+  test('requires required options to come first', () => {
+    const options = [
+      { type: 3, name: 'reason', description: 'Reason' },
+      { type: 6, name: 'user', description: 'User', required: true }
+    ];
+
+    assert.deepEqual(lintOne({ name: 'ban', description: 'Ban someone', options }), [
+      'Command "ban" option "user" is required but comes after an optional option'
+    ]);
+  });
+
+  test('checks subcommand nesting', () => {
+    const issues = lintOne({
+      name: 'admin',
+      description: 'Admin',
+      options: [{
+        type: 2,
+        name: 'users',
+        description: 'Users',
+        options: [{ type: 2, name: 'deeper', description: 'Too deep', options: [] }]
+      }]
+    });
+
+    assert.ok(issues.some(issue => /nested too deep/.test(issue)), issues.join('\n'));
+  });
+
+  test('checks the total character budget', () => {
+    const long = 'x'.repeat(100);
+    const options = Array.from({ length: 25 }, (_, i) => ({
+      type: 3,
+      name: `option-${i}`,
+      description: long,
+      choices: Array.from({ length: 2 }, (__, j) => ({ name: `${j}${long.slice(1)}`, value: `${j}` }))
+    }));
+
+    const [issue] = lintCommandDefinitions([{ name: 'huge', description: 'Huge', options }]);
+    assert.equal(issue.severity, 'error');
+    assert.match(issue.message, /Discord allows 4000/);
+
+    const [closeCall] = lintCommandDefinitions([{ name: 'large', description: 'Large', options: options.slice(0, 12) }]);
+    assert.equal(closeCall.severity, 'warning');
+  });
+
+  test('counts commands per scope', () => {
+    const names = count => Array.from({ length: count }, (_, i) => `command-${i}`);
+
+    const [close] = lintCommandDefinitions(slashCommands(...names(92)));
+    assert.equal(close.severity, 'warning');
+    assert.equal(close.message, `92 of ${COMMAND_LIMITS.CHAT_INPUT_COMMANDS} slash commands used; Discord allows 100 per scope`);
+
+    assert.deepEqual(validateCommandDefinitions(slashCommands(...names(101))), ['101 slash commands; Discord allows 100 per scope']);
+
+    const userCommands = count => names(count).map(name => ({ name, type: COMMAND_TYPES.USER }));
+    assert.deepEqual(validateCommandDefinitions(userCommands(15)), []);
+    assert.deepEqual(validateCommandDefinitions(userCommands(16)), [`16 user commands; Discord allows ${COMMAND_LIMITS.CONTEXT_MENU_COMMANDS} per scope`]);
+  });
+
+  test('warns about registered commands close to a limit', async () => {
+    const names = Array.from({ length: 95 }, (_, i) => `command-${i}`);
+    const { server, client } = await startMockClient({ globalCommands: slashCommands(...names) }, { reporter: false });
+    const warnings = [];
+    client.on('warning', message => warnings.push(message));
+
+    try {
+      await client.getGlobalCommands();
+      assert.deepEqual(warnings, ['Global commands: 95 of 100 slash commands used; Discord allows 100 per scope']);
+
+      const { result, stdout } = await captureOutput(() => lintCommands(client, { interactive: false, target: { scope: 'global' } }));
+      assert.equal(result, true);
+      assert.match(stdout, /Found 0 errors and 1 warnings in 95 global commands/);
+      assert.equal(warnings.length, 1);
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,93 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { listGlobalCommands, listGuildCommands, runCli, parseArgs, EXIT_CODES, UnknownGuildError } = require('..');
+const { MOCK_APPLICATION_ID } = require('./support/mock-discord-server');
+const { startMockClient, captureOutput, slashCommands } = require('./support/helpers');
+
+const GUILD_ID = '200000000000000001';
+
+describe('listing commands', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    ({ server, client } = await startMockClient({
+      globalCommands: [...slashCommands('ping', 'help'), { name: 'Report', type: 3 }],
+      guilds: { [GUILD_ID]: { name: 'Test Guild', commands: slashCommands('setup') } }
+    }));
+  });
+
+  afterEach(() => server.stop());
+
+  test('looks up the application ID and asks for localizations', async () => {
+    const commands = await client.getGlobalCommands();
+
+    assert.equal(client.applicationId, MOCK_APPLICATION_ID);
+    assert.deepEqual(commands.map(command => command.name), ['ping', 'help', 'Report']);
+
+    const [lookup, list] = server.requestsFor('GET');
+    assert.equal(lookup.path, '/applications/@me');
+    assert.equal(list.path, `/applications/${MOCK_APPLICATION_ID}/commands`);
+    assert.equal(list.query.get('with_localizations'), 'true');
+    assert.equal(list.authorization, 'Bot mock-bot-token');
+  });
+
+  test('prints global commands as a table', async () => {
+    const { result, stdout } = await captureOutput(() => listGlobalCommands(client, { interactive: false }));
+
+    assert.equal(result, true);
+    assert.match(stdout, /Found 3 global commands/);
+    assert.match(stdout, /ping/);
+    assert.match(stdout, /MESSAGE/);
+  });
+
+  test('filters by command type and prints JSON', async () => {
+    const { result, stdout } = await captureOutput(() =>
+      listGlobalCommands(client, { interactive: false, types: [1], format: 'json' }));
+
+    assert.equal(result, true);
+    assert.deepEqual(JSON.parse(stdout).map(command => command.name), ['ping', 'help']);
+  });
+
+  test('lists the commands of a guild', async () => {
+    const { result, stdout } = await captureOutput(() => listGuildCommands(client, { interactive: false, guildId: GUILD_ID }));
+
+    assert.equal(result, true);
+    assert.match(stdout, /Found 1 commands for Guild ID 200000000000000001/);
+    assert.match(stdout, /setup/);
+  });
+
+  test('explains an unknown guild', async () => {
+    await assert.rejects(client.getGuildCommands('299999999999999999'), UnknownGuildError);
+
+    const { result, stderr } = await captureOutput(() => listGuildCommands(client, { interactive: false, guildId: '299999999999999999' }));
+    assert.equal(result, false);
+    assert.match(stderr, /code 10004/);
+    assert.match(stderr, /Make sure the Guild ID is correct/);
+  });
+
+  test('lists explicit guilds when the bot cannot list its guilds', async () => {
+    server.addGuild('200000000000000002', 'Other Guild', slashCommands('config'));
+    server.queueFailure({ method: 'GET', path: '/users/@me/guilds', status: 403, code: 50001, message: 'Missing Access' });
+
+    const { result, stdout, stderr } = await captureOutput(() =>
+      runCli(client, parseArgs(['list', 'guild', '--guild', `${GUILD_ID},200000000000000002`])));
+
+    assert.equal(result, EXIT_CODES.SUCCESS);
+    assert.match(stdout, /200000000000000002   │ \(unknown\) .* │ config/);
+    assert.match(stdout, /setup/);
+    assert.match(stderr, /Could not look up guild names/);
+    assert.doesNotMatch(stderr, /Failed to get guilds/);
+  });
+
+  test('follows guild pagination', async () => {
+    for (let i = 0; i < 250; i++) server.addGuild(String(300000000000000000n + BigInt(i)));
+
+    const guilds = await client.getBotGuilds();
+
+    assert.equal(guilds.length, 251);
+    assert.equal(new Set(guilds.map(guild => guild.id)).size, 251);
+    assert.equal(server.requestsFor('GET').filter(request => request.path === '/users/@me/guilds').length, 2);
+  });
+});
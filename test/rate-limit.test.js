@@ -0,0 +1,76 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_RETRIES } = require('..');
+const { startMockClient, captureOutput, slashCommands } = require('./support/helpers');
+
+describe('rate limits', () => {
+  let server;
+  let client;
+  let waits;
+
+  beforeEach(async () => {
+    ({ server, client, waits } = await startMockClient({ globalCommands: slashCommands('ping', 'help') }));
+  });
+
+  afterEach(() => server.stop());
+
+  test('waits and retries after a 429', async () => {
+    const [ping] = server.commands();
+    server.queueRateLimit({ method: 'DELETE', retryAfter: 0.05 });
+
+    const { result, stdout } = await captureOutput(() => client.deleteGlobalCommand(ping.id, ping));
+
+    assert.equal(result, true);
+    assert.equal(server.commands().length, 1);
+    assert.equal(server.requestsFor('DELETE').length, 2);
+    assert.match(stdout, /Rate limited by Discord API/);
+    assert.equal(client.rateLimitMetrics.rateLimit, 1);
+    assert.equal(client.rateLimitMetrics.retries, 1);
+  });
+
+  test('waits at least as long as retry_after asks', async () => {
+    const [ping] = server.commands();
+    server.queueRateLimit({ method: 'DELETE', retryAfter: 3 });
+
+    await captureOutput(() => client.deleteGlobalCommand(ping.id, ping));
+
+    const waited = waits.reduce((sum, ms) => sum + ms, 0);
+    assert.ok(Math.round(waited) >= 3000, `waited ${waited}ms`);
+  });
+
+  test('backs off further on every retry', async () => {
+    const [ping] = server.commands();
+    server.queueRateLimit({ method: 'DELETE', count: 2, retryAfter: 0.05 });
+
+    await captureOutput(() => client.deleteGlobalCommand(ping.id, ping));
+
+    const firstRetry = waits.slice(0, waits.length / 2).reduce((sum, ms) => sum + ms, 0);
+    const secondRetry = waits.slice(waits.length / 2).reduce((sum, ms) => sum + ms, 0);
+    assert.ok(secondRetry > firstRetry);
+    assert.equal(client.rateLimitMetrics.retries, 2);
+  });
+
+  test('gives up after MAX_RETRIES and reports the failure', async () => {
+    const [ping] = server.commands();
+    server.queueRateLimit({ method: 'DELETE', count: MAX_RETRIES + 1, retryAfter: 0.05 });
+
+    const { result, stderr } = await captureOutput(() => client.deleteGlobalCommand(ping.id, ping));
+
+    assert.equal(result, false);
+    assert.equal(server.commands().length, 2);
+    assert.equal(client.rateLimitMetrics.retries, MAX_RETRIES);
+    assert.equal(client.rateLimitMetrics.exhausted, 1);
+    assert.match(stderr, /Failed to delete global command/);
+    assert.equal(client.commandErrors.get(ping.id).status, 429);
+  });
+
+  test('counts global rate limits', async () => {
+    server.queueRateLimit({ method: 'GET', path: /\/commands$/, global: true, retryAfter: 0.05 });
+
+    const { result } = await captureOutput(() => client.getGlobalCommands());
+
+    assert.equal(result.length, 2);
+    assert.equal(client.rateLimitMetrics.globalRateLimit, 1);
+  });
+});
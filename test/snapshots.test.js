@@ -0,0 +1,160 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  deleteCommands,
+  syncCommandSet,
+  takeSnapshot,
+  listSnapshots,
+  getSnapshot,
+  diffSnapshots,
+  rollbackToSnapshot,
+  snapshotHistory,
+  runCli,
+  parseArgs,
+  EXIT_CODES,
+  readBackup
+} = require('..');
+const { startMockClient, captureOutput, slashCommands } = require('./support/helpers');
+
+const GUILD_ID = '200000000000000001';
+
+describe('snapshot history', () => {
+  let server;
+  let client;
+  let backupDir;
+
+  beforeEach(async () => {
+    ({ server, client } = await startMockClient({
+      globalCommands: slashCommands('ping', 'help', 'test-one'),
+      guilds: { [GUILD_ID]: { name: 'Test Guild', commands: slashCommands('setup') } }
+    }, { reporter: false }));
+    backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleaner-snapshots-'));
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  });
+
+  test('takes a snapshot before every delete and sync', async () => {
+    await deleteCommands(client, { selection: { names: ['test-one'] }, backupDir });
+    await syncCommandSet(client, { definitions: slashCommands('ping', 'status'), backupDir });
+    await deleteCommands(client, { selection: { names: ['ping'] }, backup: false, backupDir });
+
+    const history = await listSnapshots(client, { backupDir });
+
+    assert.deepEqual(history.map(snapshot => [snapshot.version, snapshot.reason]), [[2, 'sync'], [1, 'delete']]);
+    assert.deepEqual(history[1].commands.map(command => command.name), ['ping', 'help', 'test-one']);
+    assert.deepEqual(history[0].commands.map(command => command.name), ['ping', 'help']);
+    assert.equal(path.dirname(history[0].file), backupDir);
+    assert.equal(readBackup(history[0].file).reason, 'sync');
+    assert.equal(fs.readdirSync(backupDir).length, 2);
+  });
+
+  test('takes a snapshot before a restore that adds commands', async () => {
+    const { file } = await takeSnapshot(client, { guildId: GUILD_ID, backupDir });
+
+    const { result } = await captureOutput(() => runCli(client, parseArgs(['restore', file, '--yes', '--backup-dir', backupDir])));
+
+    assert.equal(result, EXIT_CODES.SUCCESS);
+    const [latest] = await listSnapshots(client, { guildId: GUILD_ID, backupDir });
+    assert.equal(latest.version, 2);
+    assert.equal(latest.reason, 'restore');
+  });
+
+  test('keeps a separate history per scope', async () => {
+    await takeSnapshot(client, { backupDir });
+    const guild = await takeSnapshot(client, { guildId: GUILD_ID, backupDir });
+
+    assert.equal(guild.version, 1);
+    assert.equal(guild.reason, 'manual');
+    assert.deepEqual(guild.commands.map(command => command.name), ['setup']);
+    assert.equal((await listSnapshots(client, { backupDir })).length, 1);
+    assert.deepEqual(await listSnapshots(client, { guildId: '200000000000000002', backupDir }), []);
+  });
+
+  test('reads backups written before reasons were recorded', async () => {
+    const file = path.join(backupDir, 'global-2020-01-01T00-00-00-000Z.json');
+    const legacy = { createdAt: '2020-01-01T00:00:00.000Z', applicationId: server.applicationId, scope: 'global', guildId: null, commands: slashCommands('ping') };
+    fs.writeFileSync(file, JSON.stringify(legacy));
+    fs.writeFileSync(path.join(backupDir, 'notes.json'), '{}');
+    await takeSnapshot(client, { backupDir });
+
+    const history = await listSnapshots(client, { backupDir });
+
+    assert.deepEqual(history.map(snapshot => [snapshot.version, snapshot.reason]), [[2, 'manual'], [1, 'backup']]);
+    assert.equal(history[1].file, file);
+  });
+
+  test('finds snapshots by version, latest and date', async () => {
+    await takeSnapshot(client, { backupDir });
+    await client.bulkOverwriteGlobalCommands(slashCommands('ping'));
+    await takeSnapshot(client, { backupDir });
+
+    assert.equal((await getSnapshot(client, { backupDir, ref: 'latest' })).version, 2);
+    assert.equal((await getSnapshot(client, { backupDir, ref: 'v1' })).commands.length, 3);
+    assert.equal((await getSnapshot(client, { backupDir, ref: '2999-12-31' })).version, 2);
+    await assert.rejects(getSnapshot(client, { backupDir, ref: '2000-01-01' }), /No snapshot matches "2000-01-01"/);
+    await assert.rejects(getSnapshot(client, { backupDir, ref: 'yesterday' }), /Unknown snapshot/);
+  });
+
+  test('diffs two snapshots, or one with the live commands', async () => {
+    await takeSnapshot(client, { backupDir });
+    await client.bulkOverwriteGlobalCommands([...slashCommands('ping', 'status'), { name: 'help', type: 1, description: 'Get help' }]);
+    await takeSnapshot(client, { backupDir });
+    await client.bulkOverwriteGlobalCommands(slashCommands('ping'));
+
+    const between = await diffSnapshots(client, { backupDir, from: 1, to: 2 });
+    assert.deepEqual(between.added.map(command => command.name), ['status']);
+    assert.deepEqual(between.removed.map(command => command.name), ['test-one']);
+    assert.deepEqual(between.changed.map(command => command.name), ['help']);
+
+    const live = await diffSnapshots(client, { backupDir, from: 'latest' });
+    assert.equal(live.to, null);
+    assert.deepEqual(live.removed.map(command => command.name).sort(), ['help', 'status']);
+  });
+
+  test('rolls a scope back and snapshots it first', async () => {
+    await takeSnapshot(client, { guildId: GUILD_ID, backupDir });
+    await client.bulkOverwriteGuildCommands(GUILD_ID, slashCommands('setup', 'debug'));
+
+    const result = await rollbackToSnapshot(client, { guildId: GUILD_ID, ref: 1, backupDir });
+
+    assert.deepEqual(result.removed.map(command => command.name), ['debug']);
+    assert.deepEqual(server.commands(GUILD_ID).map(command => command.name), ['setup']);
+    const [latest] = await listSnapshots(client, { guildId: GUILD_ID, backupDir });
+    assert.equal(latest.reason, 'rollback');
+    assert.equal(latest.commands.length, 2);
+    assert.ok(result.backupFile);
+  });
+
+  test('lists and rolls back from the terminal', async () => {
+    await takeSnapshot(client, { backupDir });
+    await client.bulkOverwriteGlobalCommands(slashCommands('ping'));
+
+    const listed = await captureOutput(() => snapshotHistory(client, { interactive: false, target: { scope: 'global' }, action: 'list', backupDir }));
+    assert.equal(listed.result, true);
+    assert.match(listed.stdout, /Found 1 snapshots of global commands/);
+    assert.match(listed.stdout, /v1 │ .* │ manual/);
+
+    const rolledBack = await captureOutput(() => snapshotHistory(client, {
+      interactive: false,
+      target: { scope: 'global' },
+      action: 'rollback',
+      refs: ['latest'],
+      yes: true,
+      backupDir
+    }));
+    assert.equal(rolledBack.result, true);
+    assert.match(rolledBack.stdout, /Rolled global commands back to snapshot v1/);
+    assert.equal(server.commands().length, 3);
+
+    const missing = await captureOutput(() => snapshotHistory(client, { interactive: false, target: { scope: 'global' }, action: 'show', refs: ['9'], backupDir }));
+    assert.equal(missing.result, false);
+    assert.match(missing.stderr, /No snapshot matches "9"/);
+  });
+});
@@ -0,0 +1,35 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { printOperationSummary } = require('..');
+const { captureOutput } = require('./support/helpers');
+
+describe('operation summary', () => {
+  test('reports success when every command was processed', async () => {
+    const { stdout } = await captureOutput(() => printOperationSummary(3, 3, 'global'));
+
+    assert.match(stdout, /SUCCESS/);
+    assert.match(stdout, /Deleted all 3 global commands\./);
+  });
+
+  test('reports partial results with the number of failures', async () => {
+    const { stdout } = await captureOutput(() => printOperationSummary(2, 5, 'guild'));
+
+    assert.match(stdout, /PARTIAL/);
+    assert.match(stdout, /Deleted 2\/5 guild commands\./);
+    assert.match(stdout, /3 commands failed to delete\./);
+  });
+
+  test('reports failure when nothing was processed', async () => {
+    const { stdout } = await captureOutput(() => printOperationSummary(0, 2, 'global'));
+
+    assert.match(stdout, /FAILED/);
+    assert.match(stdout, /Failed to delete any global commands\./);
+  });
+
+  test('uses the verb of the operation and marks dry runs', async () => {
+    const { stdout } = await captureOutput(() => printOperationSummary(4, 4, 'guild', 'restore', true));
+
+    assert.match(stdout, /Restored all 4 guild commands \(simulated, nothing was changed\)\./);
+  });
+});
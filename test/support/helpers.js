@@ -0,0 +1,57 @@
+/**
+ * Shared setup for tests that run the cleaner against the mock Discord server
+ */
+
+const { DiscordAPI, attachConsoleReporter } = require('../..');
+const { MockDiscordServer, MOCK_BOT_TOKEN } = require('./mock-discord-server');
+
+/**
+ * Start a mock server and a client pointed at it
+ * The client's sleep() only records how long it would have waited, so backoff does not slow tests down
+ * Pass { reporter: false } to get a silent client like library users do
+ * @param {Object} [serverOptions] - Initial mock state (see MockDiscordServer)
+ * @param {Object} [clientOptions] - Extra DiscordAPI options, plus reporter (default: true)
+ * @returns {Promise<{server: MockDiscordServer, client: DiscordAPI, waits: number[]}>}
+ */
+async function startMockClient(serverOptions = {}, { reporter = true, ...clientOptions } = {}) {
+  const server = new MockDiscordServer(serverOptions);
+  const apiBaseUrl = await server.start();
+  const client = new DiscordAPI(MOCK_BOT_TOKEN, { quiet: true, apiBaseUrl, ...clientOptions });
+  if (reporter) attachConsoleReporter(client);
+  const waits = [];
+  client.sleep = async ms => { waits.push(ms); };
+  return { server, client, waits };
+}
+
+/**
+ * Run a function while collecting what it prints to the console instead of showing it
+ * Status lines are not captured; they are only drawn on a terminal anyway
+ * @param {Function} fn - Function to run
+ * @returns {Promise<{result: *, stdout: string, stderr: string}>} Its result and output
+ */
+async function captureOutput(fn) {
+  const original = { log: console.log, error: console.error };
+  let stdout = '';
+  let stderr = '';
+  console.log = (...args) => { stdout += args.join(' ') + '\n'; };
+  console.error = (...args) => { stderr += args.join(' ') + '\n'; };
+
+  try {
+    const result = await fn();
+    return { result, stdout, stderr };
+  } finally {
+    console.log = original.log;
+    console.error = original.error;
+  }
+}
+
+/**
+ * Build simple slash command payloads
+ * @param {...string} names - Command names
+ * @returns {Array<Object>} Commands
+ */
+function slashCommands(...names) {
+  return names.map(name => ({ name, type: 1, description: `The ${name} command` }));
+}
+
+module.exports = { startMockClient, captureOutput, slashCommands };
@@ -0,0 +1,329 @@
+/**
+ * In-memory mock of the Discord REST API endpoints the cleaner uses
+ * Serves commands, guilds and permissions from plain objects and can answer with 429s on demand
+ */
+
+const http = require('http');
+
+/**
+ * Application ID the mock answers for unless another one is given
+ */
+const MOCK_APPLICATION_ID = '100000000000000001';
+
+/**
+ * Bot token the mock accepts unless another one is given
+ */
+const MOCK_BOT_TOKEN = 'mock-bot-token';
+
+/**
+ * Page size limit of GET /users/@me/guilds
+ */
+const MAX_GUILDS_PER_PAGE = 200;
+
+/**
+ * A rate limit the mock answers the next matching requests with
+ * @typedef {Object} QueuedRateLimit
+ * @property {string} [method] - Only requests with this HTTP method (default: any)
+ * @property {RegExp|string} [path] - Only requests whose path matches (default: any)
+ * @property {number} [count=1] - How many requests get a 429
+ * @property {number} [retryAfter=0.05] - Seconds sent as retry_after
+ * @property {boolean} [global=false] - Whether the limit is the global one
+ */
+
+/**
+ * Mock Discord REST server
+ */
+class MockDiscordServer {
+  /**
+   * Create a mock server; call start() to listen
+   * @param {Object} [options] - Initial state
+   * @param {string} [options.applicationId] - Application ID the commands belong to
+   * @param {string} [options.token] - Bot token to accept
+   * @param {Array} [options.globalCommands] - Global commands
+   * @param {Object<string, {name: string, commands: Array}>} [options.guilds] - Guilds by ID, with their commands
+   */
+  constructor(options = {}) {
+    this.applicationId = options.applicationId || MOCK_APPLICATION_ID;
+    this.token = options.token || MOCK_BOT_TOKEN;
+    this.botUser = { id: this.applicationId, username: 'mock-bot', discriminator: '0' };
+    this.nextId = 0n;
+    this.globalCommands = (options.globalCommands || []).map(command => this.register(command));
+    this.guilds = new Map();
+    for (const [guildId, guild] of Object.entries(options.guilds || {})) {
+      this.addGuild(guildId, guild.name, guild.commands);
+    }
+    this.permissions = new Map();
+    this.rateLimits = [];
+    this.failures = [];
+    this.requests = [];
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} Base URL to pass as apiBaseUrl
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}/api`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+    // The client keeps connections alive, which would hold close() open
+    this.server.closeAllConnections();
+    return closed;
+  }
+
+  /**
+   * Add a guild the bot is a member of
+   * @param {string} guildId - Guild ID
+   * @param {string} [name] - Guild name
+   * @param {Array} [commands] - Commands registered in the guild
+   */
+  addGuild(guildId, name = `Guild ${guildId}`, commands = []) {
+    this.guilds.set(guildId, { id: guildId, name, commands: commands.map(command => this.register(command, guildId)) });
+  }
+
+  /**
+   * Answer the next matching requests with 429 responses
+   * @param {QueuedRateLimit} [limit] - Which requests to limit and how
+   */
+  queueRateLimit(limit = {}) {
+    this.rateLimits.push({ count: 1, retryAfter: 0.05, global: false, ...limit });
+  }
+
+  /**
+   * Answer the next matching requests with an error
+   * @param {Object} failure - Which requests to fail and how
+   * @param {string} [failure.method] - Only requests with this HTTP method
+   * @param {RegExp|string} [failure.path] - Only requests whose path matches
+   * @param {number} [failure.count=1] - How many requests fail
+   * @param {number} [failure.status=500] - HTTP status
+   * @param {number} [failure.code=0] - Discord error code
+   * @param {string} [failure.message] - Error message
+   */
+  queueFailure(failure) {
+    this.failures.push({ count: 1, status: 500, code: 0, message: 'Internal Server Error', ...failure });
+  }
+
+  /**
+   * Get the commands of a scope
+   * @param {string} [guildId] - Guild ID; global commands when omitted
+   * @returns {Array|undefined} The commands, or undefined for an unknown guild
+   */
+  commands(guildId) {
+    return guildId ? this.guilds.get(guildId)?.commands : this.globalCommands;
+  }
+
+  /**
+   * Requests received so far, optionally only those with a method
+   * @param {string} [method] - HTTP method
+   * @returns {Array<{method: string, path: string, query: URLSearchParams, body: *, authorization: ?string}>}
+   */
+  requestsFor(method) {
+    return method ? this.requests.filter(request => request.method === method) : this.requests;
+  }
+
+  /**
+   * Give a command payload the fields Discord adds when registering it
+   * @param {Object} command - Command payload
+   * @param {string} [guildId] - Guild the command is registered in
+   * @returns {Object} The registered command
+   */
+  register(command, guildId) {
+    const registered = {
+      type: 1,
+      description: '',
+      ...command,
+      id: command.id || this.generateId(),
+      application_id: this.applicationId,
+      version: this.generateId()
+    };
+    if (guildId) registered.guild_id = guildId;
+    return registered;
+  }
+
+  /**
+   * Generate a snowflake-like ID
+   * @returns {string}
+   */
+  generateId() {
+    this.nextId++;
+    return (900000000000000000n + this.nextId).toString();
+  }
+
+  /**
+   * Take the first queued entry matching a request, counting it down
+   * @param {Array} queue - Queued rate limits or failures
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path without the API prefix
+   * @returns {Object|null} The matching entry
+   */
+  takeQueued(queue, method, path) {
+    const index = queue.findIndex(entry =>
+      (!entry.method || entry.method === method) &&
+      (!entry.path || (entry.path instanceof RegExp ? entry.path.test(path) : path.startsWith(entry.path))));
+    if (index < 0) return null;
+
+    const entry = queue[index];
+    if (--entry.count <= 0) queue.splice(index, 1);
+    return entry;
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} request - The request
+   * @param {http.ServerResponse} response - The response
+   */
+  handle(request, response) {
+    let raw = '';
+    request.on('data', chunk => { raw += chunk; });
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://localhost');
+      const path = url.pathname.replace(/^\/api\/v\d+/, '');
+      let body = null;
+      if (raw && request.headers['content-type']?.startsWith('application/json')) body = JSON.parse(raw);
+      else if (raw) body = new URLSearchParams(raw);
+
+      this.requests.push({ method: request.method, path, query: url.searchParams, body, authorization: request.headers.authorization || null });
+
+      const send = (status, data, headers = {}) => {
+        response.writeHead(status, {
+          ...(data !== undefined && { 'Content-Type': 'application/json' }),
+          'X-RateLimit-Bucket': `mock-${request.method}-${path.replace(/\d{17,20}/g, ':id')}`,
+          'X-RateLimit-Limit': '50',
+          'X-RateLimit-Remaining': '49',
+          'X-RateLimit-Reset-After': '1',
+          ...headers
+        });
+        response.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      const limit = this.takeQueued(this.rateLimits, request.method, path);
+      if (limit) {
+        return send(429, { message: 'You are being rate limited.', retry_after: limit.retryAfter, global: limit.global }, {
+          'Retry-After': String(Math.ceil(limit.retryAfter)),
+          'X-RateLimit-Remaining': '0',
+          'X-RateLimit-Reset-After': String(limit.retryAfter),
+          'X-RateLimit-Scope': limit.global ? 'global' : 'user',
+          ...(limit.global && { 'X-RateLimit-Global': 'true' })
+        });
+      }
+
+      const failure = this.takeQueued(this.failures, request.method, path);
+      if (failure) return send(failure.status, { code: failure.code, message: failure.message });
+
+      try {
+        this.route(request.method, path, url.searchParams, body, request.headers.authorization, send);
+      } catch (error) {
+        send(500, { code: 0, message: error.message });
+      }
+    });
+  }
+
+  /**
+   * Answer a request from the in-memory state
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path without the API prefix
+   * @param {URLSearchParams} query - Query string
+   * @param {*} body - Parsed request body
+   * @param {string|undefined} authorization - Authorization header
+   * @param {Function} send - Sends the response (status, data)
+   */
+  route(method, path, query, body, authorization, send) {
+    if (method === 'POST' && path === '/oauth2/token') {
+      return send(200, { access_token: this.token, token_type: 'Bearer', expires_in: 604800, scope: 'applications.commands.update' });
+    }
+
+    const permissionsUpdate = /^\/applications\/\d+\/guilds\/\d+\/commands\/\d+\/permissions$/.test(path) && method === 'PUT';
+    if (!permissionsUpdate && authorization !== `Bot ${this.token}` && authorization !== `Bearer ${this.token}`) {
+      return send(401, { code: 0, message: '401: Unauthorized' });
+    }
+
+    if (method === 'GET' && path === '/users/@me') return send(200, this.botUser);
+    if (method === 'GET' && path === '/applications/@me') return send(200, { id: this.applicationId, name: 'Mock App' });
+
+    if (method === 'GET' && path === '/users/@me/guilds') {
+      const limit = Math.min(Number(query.get('limit') || MAX_GUILDS_PER_PAGE), MAX_GUILDS_PER_PAGE);
+      const after = BigInt(query.get('after') || 0);
+      const guilds = [...this.guilds.values()]
+        .filter(guild => BigInt(guild.id) > after)
+        .sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1))
+        .slice(0, limit)
+        .map(({ id, name }) => ({ id, name }));
+      return send(200, guilds);
+    }
+
+    const match = path.match(/^\/applications\/(\d+)(?:\/guilds\/(\d+))?\/commands(?:\/(permissions|\d+))?(?:\/(permissions))?$/);
+    if (!match) return send(404, { code: 0, message: '404: Not Found' });
+
+    const [, applicationId, guildId, commandPart, permissionsPart] = match;
+    if (applicationId !== this.applicationId) return send(403, { code: 50001, message: 'Missing Access' });
+
+    const commands = this.commands(guildId);
+    if (!commands) return send(404, { code: 10004, message: 'Unknown Guild' });
+
+    if (commandPart === 'permissions') {
+      return send(200, [...(this.permissions.get(guildId)?.values() || [])]);
+    }
+
+    if (permissionsPart) {
+      const guildPermissions = this.permissions.get(guildId) || new Map();
+      this.permissions.set(guildId, guildPermissions);
+      if (body.permissions.length === 0) guildPermissions.delete(commandPart);
+      else guildPermissions.set(commandPart, { id: commandPart, application_id: this.applicationId, guild_id: guildId, permissions: body.permissions });
+      return send(200, { id: commandPart, application_id: this.applicationId, guild_id: guildId, permissions: body.permissions });
+    }
+
+    if (commandPart) {
+      const index = commands.findIndex(command => command.id === commandPart);
+      if (index < 0) return send(404, { code: 10063, message: 'Unknown application command' });
+
+      if (method === 'GET') return send(200, commands[index]);
+      if (method === 'PATCH') {
+        commands[index] = { ...commands[index], ...body, version: this.generateId() };
+        return send(200, commands[index]);
+      }
+      if (method === 'DELETE') {
+        commands.splice(index, 1);
+        return send(204);
+      }
+      return send(405, { code: 0, message: '405: Method Not Allowed' });
+    }
+
+    if (method === 'GET') return send(200, commands);
+    if (method === 'POST') {
+      const existing = commands.findIndex(command => command.name === body.name && (command.type || 1) === (body.type || 1));
+      const registered = this.register({ ...body, id: existing >= 0 ? commands[existing].id : undefined }, guildId);
+      if (existing >= 0) commands[existing] = registered;
+      else commands.push(registered);
+      return send(existing >= 0 ? 200 : 201, registered);
+    }
+    if (method === 'PUT') {
+      const registered = body.map(command => this.register(command, guildId));
+      commands.splice(0, commands.length, ...registered);
+      return send(200, registered);
+    }
+    send(405, { code: 0, message: '405: Method Not Allowed' });
+  }
+}
+
+// Run on its own to try the cleaner without touching a real bot
+if (require.main === module) {
+  const server = new MockDiscordServer({
+    globalCommands: [{ name: 'ping', description: 'Replies with pong' }, { name: 'Report message', type: 3 }],
+    guilds: { '200000000000000001': { name: 'Mock Guild', commands: [{ name: 'setup', description: 'Set the bot up' }] } }
+  });
+  server.start().then(url => {
+    console.log(`Mock Discord API listening on ${url}`);
+    console.log(`Run: DISCORD_BOT_TOKEN=${server.token} DISCORD_API_URL=${url} node index.js`);
+  });
+}
+
+module.exports = { MockDiscordServer, MOCK_APPLICATION_ID, MOCK_BOT_TOKEN };
@@ -0,0 +1,183 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { checkCommandDrift, watchCommandState, watchCommands } = require('..');
+const { startMockClient, captureOutput, slashCommands } = require('./support/helpers');
+
+const GUILD_ID = '200000000000000001';
+
+/**
+ * Start an HTTP server that records the JSON bodies posted to it
+ * @returns {Promise<{url: string, posts: Array, close: Function}>}
+ */
+async function startWebhookReceiver() {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      posts.push(JSON.parse(body));
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/alerts`,
+    posts,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('watching for drift', () => {
+  let server;
+  let client;
+  let workDir;
+  let definitionsFile;
+
+  beforeEach(async () => {
+    ({ server, client } = await startMockClient({
+      globalCommands: slashCommands('ping', 'help', 'stray'),
+      guilds: { [GUILD_ID]: { name: 'Test Guild', commands: slashCommands('debug') } }
+    }, { reporter: false }));
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleaner-watch-'));
+    definitionsFile = path.join(workDir, 'commands.json');
+    fs.writeFileSync(definitionsFile, JSON.stringify(slashCommands('ping', 'help')));
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('finds stray commands and fixes them with one overwrite', async () => {
+    const desired = { target: { scope: 'global' }, definitions: slashCommands('ping', 'help') };
+
+    const alerted = await checkCommandDrift(client, desired);
+    assert.equal(alerted.drifted, true);
+    assert.deepEqual(alerted.diff.removed.map(cmd => cmd.name), ['stray']);
+    assert.equal(server.requestsFor('PUT').length, 0);
+
+    const fixed = await checkCommandDrift(client, desired, { fix: true, backupDir: workDir });
+    assert.equal(fixed.fixed, true);
+    assert.deepEqual(server.commands().map(cmd => cmd.name), ['ping', 'help']);
+
+    assert.equal((await checkCommandDrift(client, desired)).drifted, false);
+  });
+
+  test('does not count the kept entry point as drift in a scope that should be empty', async () => {
+    await client.bulkOverwriteGlobalCommands([...slashCommands('stray'), { name: 'launch', type: 4, handler: 2 }]);
+    const desired = { target: { scope: 'global' }, definitions: [] };
+
+    const fixed = await checkCommandDrift(client, desired, { fix: true, backup: false });
+    assert.deepEqual(fixed.diff.removed.map(cmd => cmd.name), ['stray']);
+    assert.equal(fixed.fixed, true);
+    assert.deepEqual(server.commands().map(cmd => cmd.name), ['launch']);
+
+    assert.equal((await checkCommandDrift(client, desired, { fix: true, backup: false })).drifted, false);
+  });
+
+  test('keeps the entry point when fixing a scope whose definitions leave it out', async () => {
+    await client.bulkOverwriteGlobalCommands([...slashCommands('ping', 'stray'), { name: 'launch', type: 4, handler: 2 }]);
+    const desired = { target: { scope: 'global' }, definitions: slashCommands('ping') };
+
+    const fixed = await checkCommandDrift(client, desired, { fix: true, backup: false });
+    assert.deepEqual(fixed.diff.removed.map(cmd => cmd.name), ['stray']);
+    assert.equal(fixed.fixed, true);
+    assert.deepEqual(server.commands().map(cmd => cmd.name), ['ping', 'launch']);
+
+    assert.equal((await checkCommandDrift(client, desired)).drifted, false);
+  });
+
+  test('reports drift whose fix failed', async () => {
+    server.queueFailure({ method: 'PUT', status: 400, code: 50035, message: 'Invalid Form Body' });
+    const drifts = [];
+    client.on('drift', ({ result }) => drifts.push(result));
+
+    const { finished } = watchCommandState(client, {
+      desired: [{ target: { scope: 'global' }, definitions: slashCommands('ping', 'help') }],
+      intervalMs: 1,
+      maxChecks: 1,
+      fix: true,
+      backup: false
+    });
+
+    assert.deepEqual(await finished, { checks: 1, drifts: 1, fixes: 0, errors: 1 });
+    assert.equal(drifts[0].fixed, false);
+    assert.deepEqual(drifts[0].diff.removed.map(cmd => cmd.name), ['stray']);
+    assert.equal(server.commands().length, 3);
+  });
+
+  test('polls until stopped, fixing guilds that should have no commands and posting alerts', async () => {
+    const webhook = await startWebhookReceiver();
+    const checks = [];
+    client.on('watchCheck', event => checks.push(event));
+
+    try {
+      const watcher = watchCommandState(client, {
+        desired: [{ target: { scope: 'guild', guildId: GUILD_ID }, definitions: [] }],
+        intervalMs: 1,
+        fix: true,
+        backup: false,
+        webhookUrl: webhook.url
+      });
+      client.on('watchCheck', ({ check }) => { if (check === 2) watcher.stop(); });
+
+      const summary = await watcher.finished;
+
+      assert.deepEqual(summary, { checks: 2, drifts: 1, fixes: 1, errors: 0 });
+      assert.equal(checks[1].results[0].drifted, false);
+      assert.equal(server.commands(GUILD_ID).length, 0);
+      assert.equal(webhook.posts.length, 1);
+      assert.deepEqual(webhook.posts[0].stray, ['debug']);
+      assert.equal(webhook.posts[0].fixed, true);
+      assert.match(webhook.posts[0].content, /commands for Guild ID 200000000000000001/);
+    } finally {
+      await webhook.close();
+    }
+  });
+
+  test('stops after the current check when stopped mid-round', async () => {
+    const watcher = watchCommandState(client, {
+      desired: [{ target: { scope: 'global' }, definitions: slashCommands('ping', 'help', 'stray') }],
+      intervalMs: 60000
+    });
+    setImmediate(watcher.stop);
+    const startedAt = Date.now();
+
+    assert.deepEqual(await watcher.finished, { checks: 1, drifts: 0, fixes: 0, errors: 0 });
+    assert.ok(Date.now() - startedAt < 5000);
+  });
+
+  test('keeps watching when a check fails', async () => {
+    server.queueFailure({ method: 'GET', count: 1 });
+    client.rest.options.retries = 0;
+
+    const { finished } = watchCommandState(client, {
+      desired: [{ target: { scope: 'global' }, definitions: slashCommands('ping', 'help', 'stray') }],
+      intervalMs: 1,
+      maxChecks: 2
+    });
+
+    assert.deepEqual(await finished, { checks: 2, drifts: 0, fixes: 0, errors: 1 });
+  });
+
+  test('reports unfixed drift from a single scheduled check', async () => {
+    const { result, stdout } = await captureOutput(() => watchCommands(client, {
+      interactive: false,
+      source: definitionsFile,
+      guilds: { ids: [GUILD_ID] },
+      maxChecks: 1
+    }));
+
+    assert.equal(result, false);
+    assert.match(stdout, /DRIFT/);
+    assert.match(stdout, /- stray/);
+    assert.match(stdout, /- debug/);
+    assert.match(stdout, /1 checks: 2 drifts found, 0 fixed, 0 failed/);
+    assert.equal(server.commands().length, 3);
+  });
+});